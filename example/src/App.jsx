@@ -161,6 +161,7 @@ export default function App() {
     const [zoomValue, setZoomValue] = useState(initial.zoom != null ? initial.zoom : 33);
     const [selectedNode, setSelectedNode] = useState(null);
     const [panelInput, setPanelInput] = useState("");
+    const [history, setHistory] = useState({ canUndo: false, canRedo: false });
     const flowApi = useOrthogonalFlow();
 
     const handleSelectionChange = useCallback(function (params) {
@@ -191,6 +192,8 @@ export default function App() {
         function () {
             var saved = loadFromStorage();
             if (saved) {
+                // Loading is a step of its own: undo goes back to the graph before it
+                if (flowApi.checkpoint) flowApi.checkpoint();
                 setNodes(saved.nodes);
                 setEdges(saved.edges);
                 setZoomValue(saved.zoom);
@@ -626,6 +629,11 @@ export default function App() {
         <div style={{ width: "100vw", height: "100vh" }}>
             <div className="controls-panel">
                 <button onClick={() => flowApi.layout()}>Re-Layout</button>
+                <button onClick={() => flowApi.undo()} disabled={!history.canUndo}>Undo</button>
+                <button onClick={() => flowApi.redo()} disabled={!history.canRedo}>Redo</button>
+                <button onClick={() => flowApi.collapseAll()}>Collapse All</button>
+                <button onClick={() => flowApi.expandAll()}>Expand All</button>
+                <button onClick={() => flowApi.collapseSelection()}>Collapse Selection</button>
                 <button
                     onClick={() =>
                         setReadOnly(function (v) {
@@ -650,6 +658,7 @@ export default function App() {
                 nodes={nodes}
                 edges={edges}
                 onChange={handleChange}
+                onHistoryChange={setHistory}
                 onNodesChange={handleNodesChange}
                 onEdgesChange={handleEdgesChange}
                 onCreateNode={readOnly ? undefined : handleCreateNode}
@@ -1,5 +1,5 @@
 import React, { memo } from 'react';
-import { NodeShell, DeleteButton, CollapseButton, NodeActionButton } from '../../lib/index.js';
+import { NodeShell, DeleteButton, CollapseButton, NodeActionButton, PinMenuItem } from '../../lib/index.js';
 
 const menuItemStyle = {
   padding: '6px 12px',
@@ -30,6 +30,7 @@ const BranchNode = memo(function BranchNode({ id, data, selected }) {
               </div>
             );
           })}
+        <PinMenuItem nodeId={id} data={data} style={menuItemStyle} />
       </NodeActionButton>
     </NodeShell>
   );
@@ -1,5 +1,5 @@
 import React, { memo } from 'react';
-import { NodeShell, DeleteButton, NodeActionButton } from '../../lib/index.js';
+import { NodeShell, DeleteButton, NodeActionButton, PinMenuItem } from '../../lib/index.js';
 
 const menuItemStyle = {
   padding: '6px 12px',
@@ -28,6 +28,7 @@ const SquareNode = memo(function SquareNode({ id, data, selected }) {
               </div>
             );
           })}
+        <PinMenuItem nodeId={id} data={data} style={menuItemStyle} />
       </NodeActionButton>
     </NodeShell>
   );
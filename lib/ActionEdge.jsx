@@ -1,5 +1,5 @@
 import React from "react";
-import { BaseEdge } from "reactflow";
+import { BaseEdge, Position } from "reactflow";
 import { waypointsToSvgPath } from "./orthogonalRouter.js";
 import { DEFAULTS } from "./defaults.js";
 
@@ -12,6 +12,8 @@ import { DEFAULTS } from "./defaults.js";
  *   - Straight down into target
  *
  * When source and target are vertically aligned, draws a simple vertical line.
+ * In a left-to-right (or right-to-left) flow the source handle sits on a
+ * side of the node and the path runs horizontally first instead.
  */
 export default function ActionEdge({
     id,
@@ -19,15 +21,27 @@ export default function ActionEdge({
     sourceY,
     targetX,
     targetY,
+    sourcePosition,
     style,
 }) {
     const bendRadius = DEFAULTS.bendRadius;
     const points = [];
+    const horizontal = sourcePosition === Position.Left || sourcePosition === Position.Right;
+    const aligned = horizontal
+        ? Math.abs(sourceY - targetY) < 1
+        : Math.abs(sourceX - targetX) < 1;
 
-    if (Math.abs(sourceX - targetX) < 1) {
-        // Vertically aligned — straight line
+    if (aligned) {
+        // Aligned with the flow — straight line
         points.push({ x: sourceX, y: sourceY });
         points.push({ x: targetX, y: targetY });
+    } else if (horizontal) {
+        // Z-shaped, horizontal first
+        const midX = sourceX + (targetX - sourceX) / 2;
+        points.push({ x: sourceX, y: sourceY });
+        points.push({ x: midX, y: sourceY });
+        points.push({ x: midX, y: targetY });
+        points.push({ x: targetX, y: targetY });
     } else {
         // L-shaped or Z-shaped orthogonal path
         const midY = sourceY + (targetY - sourceY) / 2;
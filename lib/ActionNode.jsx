@@ -1,9 +1,18 @@
 import React, { memo, useState, useCallback, useRef, useEffect } from 'react';
 import { Handle, Position } from 'reactflow';
+import { resolveFlowSides } from './defaults.js';
 import './nodeShell.css';
 
+const SIDE_POSITIONS = {
+  top: Position.Top,
+  bottom: Position.Bottom,
+  left: Position.Left,
+  right: Position.Right,
+};
+
 /**
- * ActionNode — ghost "+" node that appears below a hovered/selected node.
+ * ActionNode — ghost "+" node that appears past the output side of a
+ * hovered/selected node (below it in the default top-to-bottom flow).
  *
  * Rendered as a dashed-border circle with a "+" inside.
  * - Click: opens dropdown menu (app's renderNodeMenu)
@@ -16,9 +25,11 @@ import './nodeShell.css';
  *   renderMenu     - () => ReactElement|null
  *   onHoverParent  - (parentId) => void
  *   onUnhoverParent - () => void
+ *   direction      - flow direction of the parent, places the handles
  */
 const ActionNode = memo(function ActionNode({ data }) {
-  const { parentId, size = 24, renderMenu, onDirectClick, onHoverParent, onUnhoverParent } = data;
+  const { parentId, size = 24, renderMenu, onDirectClick, onHoverParent, onUnhoverParent, direction } = data;
+  const sides = resolveFlowSides(direction);
   const [menuOpen, setMenuOpen] = useState(false);
   const wrapperRef = useRef(null);
 
@@ -66,10 +77,10 @@ const ActionNode = memo(function ActionNode({ data }) {
     >
       +
 
-      {/* Hidden input handle at top center — action edge connects here */}
+      {/* Hidden input handle on the input side — action edge connects here */}
       <Handle
         type="target"
-        position={Position.Top}
+        position={SIDE_POSITIONS[sides.input]}
         id="__action-input"
         className="eq-pipeline-compact-action-input-handle"
       />
@@ -77,7 +88,7 @@ const ActionNode = memo(function ActionNode({ data }) {
       {/* Source handle covering full node area — drag from here to create edge */}
       <Handle
         type="source"
-        position={Position.Bottom}
+        position={SIDE_POSITIONS[sides.output]}
         id="output-0"
         className="eq-pipeline-compact-action-handle"
       />
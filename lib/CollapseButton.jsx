@@ -1,17 +1,42 @@
 import React, { memo, useCallback } from 'react';
 import './nodeShell.css';
 
+/**
+ * Badge text for a collapsed summary (see getVisibleGraph), e.g.
+ * "+7 steps, 1 failed". A string status roll-up is appended as is, a count
+ * per status as "<count> <status>".
+ */
+export function formatCollapsedSummary(summary) {
+  if (!summary) return '';
+  const parts = [`+${summary.hiddenNodes} ${summary.hiddenNodes === 1 ? 'step' : 'steps'}`];
+  const status = summary.status;
+  if (typeof status === 'string' || typeof status === 'number') {
+    if (status !== '') parts.push(String(status));
+  } else if (status) {
+    for (const key of Object.keys(status)) {
+      if (status[key]) parts.push(`${status[key]} ${key}`);
+    }
+  }
+  return parts.join(', ');
+}
+
 /**
  * CollapseButton — reusable collapse/expand button for node types.
  *
+ * While nodes are hidden behind the node, a badge next to the button
+ * summarizes them (data.collapsedSummary, set by OrthogonalFlow).
+ *
  * Props:
- *   nodeId    - node ID
- *   data      - node data (reads data.onToggleCollapse, data.collapsed)
- *   icon      - custom icon (ReactElement or string), defaults to '+' / '−'
- *   className - custom CSS class, defaults to built-in class
- *   style     - inline style overrides
+ *   nodeId        - node ID
+ *   data          - node data (reads data.onToggleCollapse, data.collapsed,
+ *                   data.collapsedSummary)
+ *   icon          - custom icon (ReactElement or string), defaults to '+' / '−'
+ *   className     - custom CSS class, defaults to built-in class
+ *   style         - inline style overrides
+ *   formatSummary - summary => badge content, defaults to formatCollapsedSummary;
+ *                   return null to hide the badge
  */
-const CollapseButton = memo(function CollapseButton({ nodeId, data, icon, className, style }) {
+const CollapseButton = memo(function CollapseButton({ nodeId, data, icon, className, style, formatSummary }) {
   const collapsed = !!(data && data.collapsed);
 
   const handleClick = useCallback((e) => {
@@ -22,16 +47,23 @@ const CollapseButton = memo(function CollapseButton({ nodeId, data, icon, classN
   if (!data || !data.onToggleCollapse) return null;
 
   const defaultIcon = collapsed ? '+' : '\u2212';
+  const summary = data.collapsedSummary;
+  const badge = summary ? (formatSummary || formatCollapsedSummary)(summary) : null;
 
   return (
-    <button
-      className={className || 'eq-pipeline-compact-node-collapse-btn'}
-      style={style}
-      onClick={handleClick}
-      title={collapsed ? 'Expand' : 'Collapse'}
-    >
-      {icon !== undefined ? icon : defaultIcon}
-    </button>
+    <>
+      <button
+        className={className || 'eq-pipeline-compact-node-collapse-btn'}
+        style={style}
+        onClick={handleClick}
+        title={collapsed ? 'Expand' : 'Collapse'}
+      >
+        {icon !== undefined ? icon : defaultIcon}
+      </button>
+      {badge && (
+        <span className="eq-pipeline-compact-node-collapse-badge">{badge}</span>
+      )}
+    </>
   );
 });
 
@@ -1,16 +1,35 @@
-import React, { createContext, useContext, useMemo } from "react";
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
 import { useStore, useEdges } from "reactflow";
 import {
     computeOrthogonalPath,
+    createRoutingScene,
+    findBusJunctions,
+    findEdgeCrossings,
     separateOverlappingEdges,
+    waypointsToSvgPath,
 } from "./orthogonalRouter.js";
-import { DEFAULTS, resolveNodeX, resolveNodeY, resolveNodeWidth, resolveNodeHeight } from "./defaults.js";
+import { cloneableConfig } from "./routingJob.js";
+import { findBackEdges } from "./dagreLayout.js";
+import { computeLaneBands, laneBoundaryLines } from "./swimlanes.js";
+import {
+    DEFAULTS,
+    resolveNodeX,
+    resolveNodeY,
+    resolveNodeWidth,
+    resolveNodeHeight,
+    resolveFlowSides,
+    resolveSelfLoopSide,
+    isHorizontalFlow,
+} from "./defaults.js";
 
 const EdgeRoutingContext = createContext(null);
 
 /**
  * Hook to read a pre-computed separated path for a specific edge.
- * Returns { path, points } or null if no EdgeRoutingProvider is present.
+ * Returns { path, points, crossings?, junctions?, bundle? } or null if no
+ * EdgeRoutingProvider is present. `crossings` lists the points where the path draws a line jump;
+ * `junctions` the bus branch points this edge draws dots for; `bundle`
+ * ({ index, size, spacing }) is set for members of a parallel-edge bundle.
  */
 export function useEdgeRouting(edgeId) {
     const ctx = useContext(EdgeRoutingContext);
@@ -28,7 +47,7 @@ const POSITION_TO_DIR = {
 
 // ---------- Handle resolution helpers ----------
 
-function resolveHandleFromBounds(node, handleId, handleType, nodeX, nodeY) {
+function resolveHandleFromBounds(node, handleId, handleType, nodeX, nodeY, sides) {
     const bounds = node.handleBounds;
     if (!bounds) return null;
     const handles = handleType === "source" ? bounds.source : bounds.target;
@@ -40,29 +59,29 @@ function resolveHandleFromBounds(node, handleId, handleType, nodeX, nodeY) {
         y: nodeY + handle.y + handle.height / 2,
         dir:
             POSITION_TO_DIR[handle.position] ||
-            (handleType === "source" ? "bottom" : "top"),
+            (handleType === "source" ? sides.output : sides.input),
     };
 }
 
-function resolveHandleFallback(node, handleId, handleType, nodeX, nodeY, nodeWidth, nodeHeight) {
+// Point on a side of a box, `offset` px from the side's midpoint
+function sidePoint(x, y, width, height, side, offset) {
+    if (side === "left") return { x, y: y + height / 2 + offset, dir: side };
+    if (side === "right") return { x: x + width, y: y + height / 2 + offset, dir: side };
+    if (side === "top") return { x: x + width / 2 + offset, y, dir: side };
+    return { x: x + width / 2 + offset, y: y + height, dir: "bottom" };
+}
+
+function resolveHandleFallback(node, handleId, handleType, nodeX, nodeY, nodeWidth, nodeHeight, sides) {
     const idx = parseInt((handleId || "").split("-")[1], 10) || 0;
 
     if (handleType === "source") {
         const total = (node.data && node.data.outputs) || 1;
         const offset = (idx - (total - 1) / 2) * 8;
-        return {
-            x: nodeX + nodeWidth / 2 + offset,
-            y: nodeY + nodeHeight,
-            dir: "bottom",
-        };
+        return sidePoint(nodeX, nodeY, nodeWidth, nodeHeight, sides.output, offset);
     }
     const total = (node.data && node.data.inputs) || 1;
     const offset = (idx - (total - 1) / 2) * 8;
-    return {
-        x: nodeX + nodeWidth / 2 + offset,
-        y: nodeY,
-        dir: "top",
-    };
+    return sidePoint(nodeX, nodeY, nodeWidth, nodeHeight, sides.input, offset);
 }
 
 /**
@@ -76,44 +95,48 @@ function getHandleInfo(node, handleId, handleType, cfg) {
     const nodeWidth = resolveNodeWidth(node, cfg.nodeWidth);
     const nodeHeight = resolveNodeHeight(node, cfg.nodeHeight);
 
+    const sides = resolveFlowSides(cfg.direction);
+
     // Try DOM-measured handleBounds first
-    const fromBounds = resolveHandleFromBounds(node, handleId, handleType, nodeX, nodeY);
+    const fromBounds = resolveHandleFromBounds(node, handleId, handleType, nodeX, nodeY, sides);
     if (fromBounds) return fromBounds;
 
-    // Fallback: centered handles 8px apart
-    return resolveHandleFallback(node, handleId, handleType, nodeX, nodeY, nodeWidth, nodeHeight);
+    // Fallback: handles centered on the flow's input/output side, 8px apart
+    return resolveHandleFallback(node, handleId, handleType, nodeX, nodeY, nodeWidth, nodeHeight, sides);
 }
 
 /**
  * For merge nodes (entire circle = single handle), determine the entry point
- * and direction based on where the source node sits relative to the merge.
+ * and direction based on where the source node sits relative to the merge,
+ * across the flow direction. In a top-to-bottom flow:
  * - Source to the left → enter from left side
  * - Source to the right → enter from right side
  * - Source roughly centered above → enter from top
+ * Left-to-right flows compare y instead and enter from top, bottom or left.
  */
 function getMergeTargetInfo(sourceNode, mergeNode, cfg) {
+    const horizontal = isHorizontalFlow(cfg.direction);
     const srcX = resolveNodeX(sourceNode);
+    const srcY = resolveNodeY(sourceNode);
     const srcW = resolveNodeWidth(sourceNode, cfg.nodeWidth);
-    const srcCenterX = srcX + srcW / 2;
+    const srcH = resolveNodeHeight(sourceNode, cfg.nodeHeight);
 
     const tgtX = resolveNodeX(mergeNode);
     const tgtY = resolveNodeY(mergeNode);
     const tgtW = resolveNodeWidth(mergeNode, 40);
     const tgtH = resolveNodeHeight(mergeNode, 40);
-    const tgtCenterX = tgtX + tgtW / 2;
-    const tgtCenterY = tgtY + tgtH / 2;
 
-    const dx = srcCenterX - tgtCenterX;
-    // Threshold: if source center is within half the merge width, treat as "above"
-    const threshold = tgtW / 2;
+    const delta = horizontal
+        ? (srcY + srcH / 2) - (tgtY + tgtH / 2)
+        : (srcX + srcW / 2) - (tgtX + tgtW / 2);
+    // Threshold: if source center is within half the merge size, treat it
+    // as straight upstream
+    const threshold = (horizontal ? tgtH : tgtW) / 2;
 
-    if (dx < -threshold) {
-        return { x: tgtX, y: tgtCenterY, dir: "left" };
-    }
-    if (dx > threshold) {
-        return { x: tgtX + tgtW, y: tgtCenterY, dir: "right" };
-    }
-    return { x: tgtCenterX, y: tgtY, dir: "top" };
+    let side = resolveFlowSides(cfg.direction).input;
+    if (delta < -threshold) side = horizontal ? "top" : "left";
+    if (delta > threshold) side = horizontal ? "bottom" : "right";
+    return sidePoint(tgtX, tgtY, tgtW, tgtH, side, 0);
 }
 
 // ---------- Edge computation helpers ----------
@@ -128,17 +151,110 @@ function buildNodeRect(n, cfg) {
     };
 }
 
-function buildObstacleList(nodeInternals, sourceId, targetId, cfg) {
+function buildObstacleList(nodeInternals, exclude, cfg) {
     const obstacles = [];
     for (const [id, n] of nodeInternals) {
-        if (id === sourceId || id === targetId) continue;
+        if (exclude.includes(id)) continue;
         if (id.startsWith('__action')) continue;
         obstacles.push(buildNodeRect(n, cfg));
     }
     return obstacles;
 }
 
-function computeEdgePath(edge, nodeInternals, cfg) {
+/**
+ * Rectangles of every real node, keyed by node id. Action nodes are
+ * transient UI and never act as obstacles. Rects of group nodes (the
+ * `parentNode` of another node) are flagged `group: true`.
+ */
+function collectNodeRects(nodeInternals, cfg) {
+    const groupIds = new Set();
+    for (const n of nodeInternals.values()) {
+        if (n.parentNode) groupIds.add(n.parentNode);
+    }
+    const rects = new Map();
+    for (const [id, n] of nodeInternals) {
+        if (id.startsWith('__action')) continue;
+        const rect = buildNodeRect(n, cfg);
+        if (groupIds.has(id)) rect.group = true;
+        rects.set(id, rect);
+    }
+    return rects;
+}
+
+/**
+ * Nodes an edge is routed through rather than around: its own source and
+ * target, and every group that contains either of them. Groups stay
+ * obstacles for all other edges, so an edge crosses a group border only on
+ * its way into or out of the group.
+ */
+function routingExclusions(edge, nodeInternals) {
+    const ids = [edge.source, edge.target];
+    for (const id of [edge.source, edge.target]) {
+        let node = nodeInternals.get(id);
+        while (node && node.parentNode && !ids.includes(node.parentNode)) {
+            ids.push(node.parentNode);
+            node = nodeInternals.get(node.parentNode);
+        }
+    }
+    return ids;
+}
+
+// Group frames hold edges inside them, so the separation pass may move
+// segments within a group
+function separationObstacles(rects) {
+    return rects.filter((r) => !r.group);
+}
+
+/**
+ * One routing scene over every real node; each edge excludes its own
+ * source and target when it is routed. `routedPaths` are the soft
+ * obstacles of crossing-aware mode.
+ */
+function buildRoutingScene(rects, cfg, routedPaths) {
+    return createRoutingScene(Array.from(rects.values()), { ...cfg, routedPaths });
+}
+
+function sameLine(a, b) {
+    return a.orientation === b.orientation && a.at === b.at && a.lo === b.lo && a.hi === b.hi;
+}
+
+/**
+ * Merged routing config. In swimlane mode it carries the lane boundaries as
+ * `laneBoundaries`; the previous array (kept in `lanesRef`) is reused while
+ * the lines are unchanged, so the routing cache stays valid.
+ */
+function resolveRoutingConfig(config, nodeInternals, lanesRef) {
+    const cfg = { ...DEFAULTS, ...(config || {}) };
+    if (!cfg.lanes || !nodeInternals) return cfg;
+    const lines = laneBoundaryLines(computeLaneBands(Array.from(nodeInternals.values()), cfg), cfg);
+    const prev = lanesRef.current;
+    if (!prev || prev.length !== lines.length || !lines.every((l, i) => sameLine(l, prev[i]))) {
+        lanesRef.current = lines;
+    }
+    return { ...cfg, laneBoundaries: lanesRef.current };
+}
+
+function isCrossingAware(cfg) {
+    return cfg.crossingPenalty > 0 || cfg.overlapPenalty > 0;
+}
+
+function compareIds(a, b) {
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+}
+
+/**
+ * Routing order for crossing-aware mode, where each route depends on the
+ * ones before it: higher `data.routingPriority` first, then edge id, so
+ * the result does not depend on the order of the edges array.
+ */
+function orderEdgesForRouting(edges) {
+    const priority = (e) => (e.data && e.data.routingPriority) || 0;
+    return edges.slice().sort((a, b) => priority(b) - priority(a) || compareIds(a.id, b.id));
+}
+
+function resolveEdgeEndpoints(edge, nodeInternals, cfg) {
     const sourceNode = nodeInternals.get(edge.source);
     const targetNode = nodeInternals.get(edge.target);
     if (!sourceNode || !targetNode) return null;
@@ -146,25 +262,571 @@ function computeEdgePath(edge, nodeInternals, cfg) {
     const srcInfo = getHandleInfo(sourceNode, edge.sourceHandle, "source", cfg);
 
     // Merge node: dynamically compute entry side based on source position
-    const tgtInfo = (targetNode.data && targetNode.data.isMerge)
+    const isMerge = !!(targetNode.data && targetNode.data.isMerge);
+    const tgtInfo = isMerge
         ? getMergeTargetInfo(sourceNode, targetNode, cfg)
         : getHandleInfo(targetNode, edge.targetHandle, "target", cfg);
 
-    const obstacles = buildObstacleList(nodeInternals, edge.source, edge.target, cfg);
-
+    const routingConfig = (edge.data && edge.data.routingConfig) || null;
+    // Manually placed bend points (see OrthogonalEdge segment handles)
+    const waypoints = edge.data && edge.data.waypoints && edge.data.waypoints.length > 0
+        ? edge.data.waypoints
+        : null;
     const edgeCfg = {
         ...cfg,
-        ...((edge.data && edge.data.routingConfig) || {}),
+        ...(routingConfig || {}),
         sourceDir: srcInfo.dir,
         targetDir: tgtInfo.dir,
-        earlyBendBias: (targetNode.data && targetNode.data.isMerge) ? 0 : cfg.earlyBendBias,
+        earlyBendBias: isMerge ? 0 : cfg.earlyBendBias,
+        waypoints,
     };
+    // Automatic port sides: the router needs the node rects to place the
+    // ports of the sides other than the handle's own
+    if (edgeCfg.allowedSourceSides) edgeCfg.sourceRect = buildNodeRect(sourceNode, cfg);
+    if (edgeCfg.allowedTargetSides) edgeCfg.targetRect = buildNodeRect(targetNode, cfg);
 
-    const { points } = computeOrthogonalPath(
-        srcInfo.x, srcInfo.y, tgtInfo.x, tgtInfo.y, obstacles, edgeCfg,
-    );
+    const exclude = routingExclusions(edge, nodeInternals);
+
+    return { srcInfo, tgtInfo, edgeCfg, routingConfig, waypoints, exclude, isMerge, bus: null };
+}
+
+function routeEdge(edge, ends, nodeInternals, scene, cfg, routedPaths) {
+    const { srcInfo, tgtInfo, edgeCfg } = ends;
+
+    // The shared scene has a fixed padding; a per-edge padding override
+    // needs its own obstacle set.
+    if (edgeCfg.padding !== scene.padding) {
+        const obstacles = buildObstacleList(nodeInternals, ends.exclude, cfg);
+        const { points } = computeOrthogonalPath(
+            srcInfo.x, srcInfo.y, tgtInfo.x, tgtInfo.y, obstacles, { ...edgeCfg, routedPaths },
+        );
+        return points;
+    }
+
+    const { points } = scene.route(srcInfo, tgtInfo, ends.exclude, edgeCfg);
+    return points;
+}
+
+/**
+ * Resolve endpoints for every orthogonal edge, in routing order, and group
+ * them into buses when bus routing is on.
+ */
+function resolveRoutableEdges(edges, nodeInternals, cfg) {
+    const ordered = isCrossingAware(cfg) ? orderEdgesForRouting(edges) : edges;
+    const items = [];
+    for (const edge of ordered) {
+        if (edge.type !== "orthogonal") continue;
+        const ends = resolveEdgeEndpoints(edge, nodeInternals, cfg);
+        if (ends) items.push({ edge, ends });
+    }
+    assignSelfLoops(items, nodeInternals, cfg);
+    if (cfg.backEdgeRouting) assignBackEdgeLanes(items, nodeInternals, cfg);
+    assignParallelBundles(items, cfg);
+    if (cfg.busRouting) assignBuses(items.filter((item) => canJoinBus(item.ends)));
+    return items;
+}
+
+// ---------- Self-loops ----------
+
+/**
+ * Give every self-loop (source === target) a compact loop around the
+ * side of its node picked by `resolveSelfLoopSide`, which lies across the
+ * flow. Loops on one node stack outward; the loop whose source handle is
+ * nearest that side is innermost, so they nest without crossing.
+ */
+function assignSelfLoops(items, nodeInternals, cfg) {
+    const byNode = new Map();
+    for (const item of items) {
+        if (item.edge.source !== item.edge.target) continue;
+        if (!byNode.has(item.edge.source)) byNode.set(item.edge.source, []);
+        byNode.get(item.edge.source).push(item);
+    }
+
+    const side = resolveSelfLoopSide(cfg);
+    const axis = side === "left" || side === "right" ? "x" : "y";
+    const toSide = side === "left" || side === "top" ? 1 : -1;
+    for (const [nodeId, loops] of byNode) {
+        const rect = buildNodeRect(nodeInternals.get(nodeId), cfg);
+        loops.sort((a, b) => toSide * (a.ends.srcInfo[axis] - b.ends.srcInfo[axis]) || compareIds(a.edge.id, b.edge.id));
+        loops.forEach((item, index) => {
+            const selfLoop = { rect, index, side };
+            item.ends = { ...item.ends, selfLoop, edgeCfg: { ...item.ends.edgeCfg, selfLoop } };
+        });
+    }
+}
+
+// ---------- Back edges ----------
+
+// Where a loop leaves / enters its node: the end of the handle's stub
+function loopStubEnd(info, stubLength) {
+    if (info.dir === "bottom") return { x: info.x, y: info.y + stubLength };
+    if (info.dir === "top") return { x: info.x, y: info.y - stubLength };
+    if (info.dir === "right") return { x: info.x + stubLength, y: info.y };
+    if (info.dir === "left") return { x: info.x - stubLength, y: info.y };
+    return { x: info.x, y: info.y };
+}
+
+function laneWaypoints(lanePos, from, to, horizontal) {
+    return horizontal
+        ? [{ x: from, y: lanePos }, { x: to, y: lanePos }]
+        : [{ x: lanePos, y: from }, { x: lanePos, y: to }];
+}
+
+/**
+ * Route back edges (see findBackEdges) around the outside of the graph.
+ * Each loop gets a lane beside the node bounding box on the
+ * `backEdgeSide` — a vertical lane in top-to-bottom flows, a horizontal one
+ * below ("right"/"bottom") or above ("left"/"top") the graph in
+ * left-to-right flows — given to the router as two via-points. Loops are
+ * laned from the shortest span outwards, each one outside every loop it
+ * overlaps, so nested loops never cross. Edges with manual waypoints keep
+ * them.
+ */
+function assignBackEdgeLanes(items, nodeInternals, cfg) {
+    const back = findBackEdges(Array.from(nodeInternals.values()), items.map((item) => item.edge));
+    const loops = items.filter((item) => back.has(item.edge.id) && !item.ends.waypoints && !item.ends.selfLoop);
+    if (loops.length === 0) return;
+
+    // Spans run along the flow axis, lanes sit across it
+    const horizontal = isHorizontalFlow(cfg.direction);
+    const along = horizontal ? "x" : "y";
+    const rects = Array.from(collectNodeRects(nodeInternals, cfg).values());
+    const near = horizontal ? Math.min(...rects.map((r) => r.y)) : Math.min(...rects.map((r) => r.x));
+    const far = horizontal
+        ? Math.max(...rects.map((r) => r.y + r.height))
+        : Math.max(...rects.map((r) => r.x + r.width));
+    const before = cfg.backEdgeSide === "left" || cfg.backEdgeSide === "top";
+
+    const spans = loops.map((item) => {
+        const { srcInfo, tgtInfo, edgeCfg } = item.ends;
+        const from = loopStubEnd(srcInfo, edgeCfg.sourceStubLength)[along];
+        const to = loopStubEnd(tgtInfo, edgeCfg.targetStubLength)[along];
+        return { item, from, to, lo: Math.min(from, to), hi: Math.max(from, to), lane: 0 };
+    });
+    spans.sort((a, b) => (a.hi - a.lo) - (b.hi - b.lo) || compareIds(a.item.edge.id, b.item.edge.id));
+
+    const placed = [];
+    for (const span of spans) {
+        let lane = 0;
+        for (const other of placed) {
+            if (other.lo <= span.hi && span.lo <= other.hi) lane = Math.max(lane, other.lane + 1);
+        }
+        span.lane = lane;
+        placed.push(span);
+
+        const { ends } = span.item;
+        const offset = ends.edgeCfg.padding + lane * cfg.backEdgeLaneGap;
+        const lanePos = before ? near - offset : far + offset;
+        const waypoints = laneWaypoints(lanePos, span.from, span.to, horizontal);
+        span.item.ends = { ...ends, waypoints, edgeCfg: { ...ends.edgeCfg, waypoints } };
+    }
+}
+
+// ---------- Parallel edges ----------
+
+// Sign that turns a shift along the source side into a router
+// `parallelOffset` (which follows the first segment's normal).
+const PARALLEL_OFFSET_SIGN = { bottom: -1, top: 1, right: 1, left: -1 };
+
+// Offset of each bundle member (sorted along the source side) from the
+// spine: its own source handle's offset from the mean port, so every line
+// starts on its handle. Members sharing a source handle are spread
+// `spacing` apart around the spine instead.
+function bundleShifts(members, src, along, spacing) {
+    const shifts = members.map((m) => m.ends.srcInfo[along] - src[along]);
+    if (shifts.every((s, i) => i === 0 || s > shifts[i - 1])) return shifts;
+    return members.map((_, i) => (i - (members.length - 1) / 2) * spacing);
+}
+
+/**
+ * Edges with the same source and target form a parallel bundle. All
+ * members route one spine between the mean of their source ports and the
+ * mean of their target ports; each is then drawn shifted off the spine by
+ * its source handle's offset (see bundleShifts), in the order of its source
+ * handle, and its last stub is moved onto its own target handle if the
+ * shift left it beside it. Every member gets its own ports and line.
+ * Members share a bus key so they do not charge each other crossing or
+ * overlap cost.
+ */
+function assignParallelBundles(items, cfg) {
+    const groups = new Map();
+    for (const item of items) {
+        const { edge, ends } = item;
+        if (edge.source === edge.target || !canJoinBus(ends)) continue;
+        const key = `parallel:${edge.source}->${edge.target}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    }
+
+    for (const [key, members] of groups) {
+        if (members.length < 2) continue;
+        const src = meanPort(members.map((m) => m.ends.srcInfo));
+        const tgt = meanPort(members.map((m) => m.ends.tgtInfo));
+        const along = src.dir === "top" || src.dir === "bottom" ? "x" : "y";
+        members.sort((a, b) => a.ends.srcInfo[along] - b.ends.srcInfo[along] || compareIds(a.edge.id, b.edge.id));
+
+        const sign = PARALLEL_OFFSET_SIGN[src.dir] || -1;
+        const shifts = bundleShifts(members, src, along, cfg.parallelEdgeSpacing);
+        // Lines are this far apart at their closest: the width of each hit area
+        const spacing = Math.min(...shifts.slice(1).map((s, i) => s - shifts[i]));
+        members.forEach((item, index) => {
+            const { tgtInfo } = item.ends;
+            const bundle = { index, size: members.length, spacing };
+            item.ends = {
+                ...item.ends,
+                bus: key,
+                bundle,
+                srcInfo: src,
+                tgtInfo: tgt,
+                edgeCfg: {
+                    ...item.ends.edgeCfg,
+                    busGroup: key,
+                    parallelOffset: sign * shifts[index],
+                    parallelTarget: { x: tgtInfo.x, y: tgtInfo.y },
+                },
+            };
+        });
+    }
+}
+
+// ---------- Bus routing ----------
+
+// Self-loops, parallel bundles and edges with manual waypoints or
+// automatic port sides pick their own route and ports, so they never join
+// a bus. (Bundles are formed before buses and already carry a bus key.)
+function canJoinBus(ends) {
+    const { edgeCfg } = ends;
+    if (ends.bus || ends.waypoints || ends.selfLoop) return false;
+    return !edgeCfg.allowedSourceSides && !edgeCfg.allowedTargetSides;
+}
 
-    return { id: edge.id, points };
+function busKeys(item) {
+    const { edge, ends } = item;
+    return {
+        source: `source:${edge.source}:${ends.srcInfo.dir}`,
+        target: ends.isMerge ? `target:${edge.target}:${ends.tgtInfo.dir}` : null,
+    };
+}
+
+// Mean of several ports on one node side, taken along that side.
+function meanPort(ports) {
+    const first = ports[0];
+    const vertical = first.dir === "top" || first.dir === "bottom";
+    const mean = (key) => ports.reduce((sum, p) => sum + p[key], 0) / ports.length;
+    return vertical
+        ? { x: mean("x"), y: first.y, dir: first.dir }
+        : { x: first.x, y: mean("y"), dir: first.dir };
+}
+
+// Common port for a fan-out: the mean of the members' handles along the
+// node side, so every member shares one source stub (the trunk).
+function trunkPort(members) {
+    return meanPort(members.map((m) => m.ends.srcInfo));
+}
+
+/**
+ * Edges leaving the same source side, or entering the same merge-node
+ * side, form a bus. Fan-out members leave from a shared trunk port and
+ * split where the stub ends; fan-in members already share the merge entry
+ * point. A fan-out takes precedence when an edge qualifies for both.
+ */
+function assignBuses(items) {
+    const groups = groupByBusKey(items);
+    const trunks = new Map();
+    for (const [key, members] of groups) {
+        if (members.length >= 2 && key.startsWith("source:")) trunks.set(key, trunkPort(members));
+    }
+
+    for (const item of items) {
+        const keys = busKeys(item);
+        let bus = null;
+        if (trunks.has(keys.source)) bus = keys.source;
+        else if (keys.target && groups.get(keys.target).length >= 2) bus = keys.target;
+        if (!bus) continue;
+        item.ends = {
+            ...item.ends,
+            bus,
+            srcInfo: trunks.get(bus) || item.ends.srcInfo,
+            edgeCfg: { ...item.ends.edgeCfg, busGroup: bus },
+        };
+    }
+}
+
+function groupByBusKey(items) {
+    const groups = new Map();
+    for (const item of items) {
+        const keys = busKeys(item);
+        for (const key of [keys.source, keys.target]) {
+            if (!key) continue;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        }
+    }
+    return groups;
+}
+
+// ---------- Incremental routing cache ----------
+
+function sameConfig(a, b) {
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every((k) => a[k] === b[k]);
+}
+
+function sameWaypoints(a, b) {
+    if (a === b) return true;
+    if (!a || !b || a.length !== b.length) return false;
+    return a.every((p, i) => p.x === b[i].x && p.y === b[i].y);
+}
+
+function samePoint(a, b) {
+    if (!a || !b) return a === b;
+    return a.x === b.x && a.y === b.y;
+}
+
+function samePort(a, b) {
+    return a.x === b.x && a.y === b.y && a.dir === b.dir;
+}
+
+function sameRect(a, b) {
+    return a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+}
+
+/**
+ * Rectangles that differ between two renders. A moved or resized node
+ * contributes both its old and new rectangle; added and removed nodes
+ * contribute the one they have.
+ */
+function diffNodeRects(prevRects, rects) {
+    const changed = [];
+    for (const [id, rect] of rects) {
+        const prev = prevRects.get(id);
+        if (prev && sameRect(prev, rect)) continue;
+        if (prev) changed.push(prev);
+        changed.push(rect);
+    }
+    for (const [id, prev] of prevRects) {
+        if (!rects.has(id)) changed.push(prev);
+    }
+    return changed;
+}
+
+/**
+ * True when any segment of the path touches a rectangle inflated by
+ * padding. Touching counts: a path that hugs an obstacle's padded border
+ * was shaped by it and may straighten once it moves away.
+ */
+function pathTouchesRects(points, rects, padding) {
+    for (const r of rects) {
+        const left = r.x - padding;
+        const right = r.x + r.width + padding;
+        const top = r.y - padding;
+        const bottom = r.y + r.height + padding;
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            if (Math.max(a.x, b.x) < left || Math.min(a.x, b.x) > right) continue;
+            if (Math.max(a.y, b.y) < top || Math.min(a.y, b.y) > bottom) continue;
+            return true;
+        }
+    }
+    return false;
+}
+
+function canReuseRoute(cached, edge, ends, changedRects) {
+    // Self-loops are cheap and depend on their siblings' stacking order
+    if (!cached || ends.selfLoop) return false;
+    if (cached.source !== edge.source || cached.target !== edge.target) return false;
+    if (cached.routingConfig !== ends.routingConfig) return false;
+    if (!sameWaypoints(cached.waypoints, ends.waypoints)) return false;
+    if (cached.exclude.join("\n") !== ends.exclude.join("\n")) return false;
+    if (cached.parallelOffset !== ends.edgeCfg.parallelOffset) return false;
+    if (!samePoint(cached.parallelTarget, ends.edgeCfg.parallelTarget)) return false;
+    if (cached.earlyBendBias !== ends.edgeCfg.earlyBendBias) return false;
+    if (!samePort(cached.srcInfo, ends.srcInfo) || !samePort(cached.tgtInfo, ends.tgtInfo)) return false;
+    return !pathTouchesRects(cached.points, changedRects, ends.edgeCfg.padding);
+}
+
+/**
+ * Routes edges against one lazily built scene. In crossing-aware mode every
+ * recorded route becomes a soft obstacle for the routes after it.
+ */
+function createEdgeRouter(nodeInternals, rects, cfg) {
+    const crossingAware = isCrossingAware(cfg);
+    const routedPaths = [];
+    let scene = null;
+    return {
+        crossingAware,
+        route(edge, ends) {
+            if (!scene) scene = buildRoutingScene(rects, cfg, routedPaths);
+            return routeEdge(edge, ends, nodeInternals, scene, cfg, routedPaths);
+        },
+        record(points, group) {
+            if (!crossingAware) return;
+            routedPaths.push({ points, group });
+            if (scene) scene.addRoutedPath(points, group);
+        },
+    };
+}
+
+/**
+ * Route every orthogonal edge, reusing cached raw routes from the previous
+ * render where possible. The shared scene is only built if at least one
+ * edge has to be re-routed.
+ */
+function routeEdgesIncrementally(items, nodeInternals, rects, prev, cfg) {
+    const changedRects = prev ? diffNodeRects(prev.rects, rects) : [];
+    const router = createEdgeRouter(nodeInternals, rects, cfg);
+    let rerouted = false;
+    const routes = new Map();
+    const edgePaths = [];
+    for (const { edge, ends } of items) {
+        // A crossing-aware route depends on every route before it, so once
+        // one edge is re-routed all later ones are too.
+        const cached = prev && prev.routes.get(edge.id);
+        let points;
+        if (!(router.crossingAware && rerouted) && canReuseRoute(cached, edge, ends, changedRects)) {
+            points = cached.points;
+        } else {
+            points = router.route(edge, ends);
+            rerouted = true;
+        }
+        router.record(points, ends.bus);
+
+        routes.set(edge.id, {
+            source: edge.source,
+            target: edge.target,
+            routingConfig: ends.routingConfig,
+            waypoints: ends.waypoints,
+            exclude: ends.exclude,
+            parallelOffset: ends.edgeCfg.parallelOffset,
+            parallelTarget: ends.edgeCfg.parallelTarget,
+            earlyBendBias: ends.edgeCfg.earlyBendBias,
+            srcInfo: ends.srcInfo,
+            tgtInfo: ends.tgtInfo,
+            points,
+        });
+        edgePaths.push({ id: edge.id, points, bus: ends.bus, bundle: ends.bundle });
+    }
+    return { routes, edgePaths };
+}
+
+// ---------- Line jumps ----------
+
+/**
+ * Detect crossings across all separated paths and redraw the
+ * lower-priority edge of each crossing with a hop or gap. Priority follows
+ * the crossing-aware routing order. Entries gain `crossings`, the points
+ * where that edge jumps.
+ */
+function applyLineJumps(pathMap, edges, config) {
+    const cfg = { ...DEFAULTS, ...(config || {}) };
+    if (!pathMap || (cfg.lineJumps !== "hop" && cfg.lineJumps !== "gap")) return pathMap;
+
+    const ranked = [];
+    for (const edge of orderEdgesForRouting(edges)) {
+        const entry = pathMap.get(edge.id);
+        if (entry) ranked.push({ id: edge.id, points: entry.points });
+    }
+    const crossings = findEdgeCrossings(ranked);
+    if (crossings.size === 0) return pathMap;
+
+    const map = new Map(pathMap);
+    for (const [id, points] of crossings) {
+        const entry = pathMap.get(id);
+        const jumps = { crossings: points, style: cfg.lineJumps, size: cfg.lineJumpSize };
+        map.set(id, {
+            ...entry,
+            path: waypointsToSvgPath(entry.points, cfg.bendRadius, jumps),
+            crossings: points,
+        });
+    }
+    return map;
+}
+
+/**
+ * Attach each bus's junction points to one member edge (the lowest id), so
+ * the dots are drawn once.
+ */
+function applyBusJunctions(pathMap, config) {
+    const cfg = { ...DEFAULTS, ...(config || {}) };
+    if (!pathMap || !cfg.busRouting) return pathMap;
+
+    const members = [];
+    const owners = new Map();
+    for (const [id, entry] of pathMap) {
+        if (entry.bus == null) continue;
+        members.push({ id, points: entry.points, bus: entry.bus });
+        const owner = owners.get(entry.bus);
+        if (owner === undefined || compareIds(id, owner) < 0) owners.set(entry.bus, id);
+    }
+    const junctions = findBusJunctions(members);
+    if (junctions.size === 0) return pathMap;
+
+    const map = new Map(pathMap);
+    for (const [bus, points] of junctions) {
+        const id = owners.get(bus);
+        map.set(id, { ...map.get(id), junctions: points });
+    }
+    return map;
+}
+
+// ---------- Worker routing ----------
+
+/**
+ * Snapshot the current graph as a structured-cloneable routing job for a
+ * worker engine: node rectangles plus resolved endpoints and merged config
+ * for every orthogonal edge.
+ */
+function buildRoutingJob(nodeInternals, edges, cfg) {
+    if (!nodeInternals) return { config: cloneableConfig(cfg), rects: [], edges: [] };
+    const rects = Array.from(collectNodeRects(nodeInternals, cfg).values());
+    const jobEdges = resolveRoutableEdges(edges, nodeInternals, cfg).map(({ edge, ends }) => ({
+        id: edge.id,
+        source: edge.source,
+        target: edge.target,
+        src: ends.srcInfo,
+        tgt: ends.tgtInfo,
+        exclude: ends.exclude,
+        bus: ends.bus,
+        bundle: ends.bundle,
+        config: cloneableConfig(ends.edgeCfg),
+    }));
+    return { config: cloneableConfig(cfg), rects, edges: jobEdges };
+}
+
+function pathsToMap(paths) {
+    const map = new Map();
+    for (const ep of paths) {
+        map.set(ep.id, { path: ep.path, points: ep.points, bus: ep.bus, bundle: ep.bundle });
+    }
+    return map;
+}
+
+/**
+ * Post each new job to the engine and keep the last good paths until a
+ * fresher result arrives. Superseded and stale jobs resolve to null and are
+ * ignored. A failed job reports its engine through `onFailure`, so the
+ * provider can stop posting to it and route on the main thread instead.
+ */
+function useWorkerPaths(engine, job, onFailure) {
+    const [paths, setPaths] = useState(() => new Map());
+    const engineRef = useRef(engine);
+    engineRef.current = engine;
+
+    useEffect(() => {
+        if (!engine || !job) return;
+        engine.route(job).then(
+            (result) => {
+                if (result && engineRef.current === engine) setPaths(pathsToMap(result));
+            },
+            () => {
+                if (engineRef.current === engine) onFailure(engine);
+            },
+        );
+    }, [engine, job, onFailure]);
+
+    return paths;
 }
 
 /**
@@ -172,36 +834,80 @@ function computeEdgePath(edge, nodeInternals, cfg) {
  * Computes all orthogonal paths in one pass, applies overlap separation,
  * and distributes results via context so each OrthogonalEdge can read its
  * pre-computed path without redundant calculation.
+ *
+ * Raw (pre-separation) routes are cached between renders. When nodes
+ * change, only edges whose endpoints moved or whose previous path touches
+ * a changed node rectangle are re-routed; separation then runs over the
+ * merged set so cached and fresh paths stay spread apart.
+ *
+ * With an `engine` (see createWorkerRoutingEngine) routing and separation
+ * run in a worker instead; the provider serializes node rects and edge
+ * endpoints, posts them on every change and renders the last good paths
+ * until fresh ones arrive. Once a job fails, that engine is dropped and
+ * routing falls back to the main thread.
+ *
+ * With `lineJumps` set to 'hop' or 'gap', crossings between the separated
+ * paths are decorated on the lower-priority edge of each pair. With
+ * `busRouting`, edges sharing a source side or a merge-node side share a
+ * trunk and split at junctions, which are marked with dots. With `lanes`
+ * set, routes cross swimlane boundaries instead of running along them.
+ *
+ * While `suspended` is true the last paths are kept and nothing is
+ * re-routed (OrthogonalFlow suspends routing while a layout animation with
+ * faded edges runs).
  */
-export default function EdgeRoutingProvider({ children, config }) {
+export default function EdgeRoutingProvider({ children, config, engine, suspended }) {
     const nodeInternals = useStore((state) => state.nodeInternals);
     const edges = useEdges();
+    const cacheRef = useRef(null);
+    const lanesRef = useRef(null);
+    const [failedEngine, setFailedEngine] = useState(null);
+    const activeEngine = engine && engine !== failedEngine ? engine : null;
+
+    const job = useMemo(() => {
+        if (!activeEngine || suspended) return null;
+        return buildRoutingJob(nodeInternals, edges, resolveRoutingConfig(config, nodeInternals, lanesRef));
+    }, [activeEngine, nodeInternals, edges, config, suspended]);
+    const workerPathMap = useWorkerPaths(activeEngine, job, setFailedEngine);
+
+    const localPathMap = useMemo(() => {
+        if (activeEngine) {
+            cacheRef.current = null;
+            return null;
+        }
+        if (suspended && cacheRef.current) return cacheRef.current.paths;
 
-    const pathMap = useMemo(() => {
-        const cfg = { ...DEFAULTS, ...(config || {}) };
+        const cfg = resolveRoutingConfig(config, nodeInternals, lanesRef);
 
         if (!nodeInternals || nodeInternals.size === 0 || edges.length === 0) {
+            cacheRef.current = null;
             return new Map();
         }
 
-        const edgePaths = [];
-        for (const edge of edges) {
-            if (edge.type !== "orthogonal") continue;
-            const result = computeEdgePath(edge, nodeInternals, cfg);
-            if (result) edgePaths.push(result);
-        }
+        const rects = collectNodeRects(nodeInternals, cfg);
+        const prev = cacheRef.current && sameConfig(cacheRef.current.cfg, cfg)
+            ? cacheRef.current
+            : null;
 
-        // Apply separation and rounding across all edges
-        const separated = separateOverlappingEdges(
-            edgePaths, cfg.edgeSeparation, cfg.bendRadius,
+        const items = resolveRoutableEdges(edges, nodeInternals, cfg);
+        const { routes, edgePaths } = routeEdgesIncrementally(
+            items, nodeInternals, rects, prev, cfg,
         );
 
-        const map = new Map();
-        for (const ep of separated) {
-            map.set(ep.id, { path: ep.path, points: ep.points });
-        }
-        return map;
-    }, [nodeInternals, edges, config]);
+        // Nudge shared segments apart within their free channels and round corners
+        const paths = pathsToMap(separateOverlappingEdges(
+            edgePaths, cfg.edgeSeparation, cfg.bendRadius,
+            { nodes: separationObstacles(Array.from(rects.values())), padding: cfg.padding },
+        ));
+        cacheRef.current = { cfg, rects, routes, paths };
+        return paths;
+    }, [activeEngine, nodeInternals, edges, config, suspended]);
+
+    const routedPathMap = activeEngine ? workerPathMap : localPathMap;
+    const pathMap = useMemo(
+        () => applyBusJunctions(applyLineJumps(routedPathMap, edges, config), config),
+        [routedPathMap, edges, config],
+    );
 
     return (
         <EdgeRoutingContext.Provider value={pathMap}>
@@ -0,0 +1,21 @@
+import React, { memo } from 'react';
+import NodeShell from './NodeShell.jsx';
+import './nodeShell.css';
+
+/**
+ * GroupNode — framed container for a stage of the pipeline.
+ *
+ * Child nodes set `parentNode: <group id>` (and usually `extent: 'parent'`)
+ * and must come after the group in the nodes array. Layout places the
+ * children inside the frame and writes the fitted size to `data.width` /
+ * `data.height`; edges cross the frame only on their way in or out.
+ *
+ * Props via data: everything NodeShell reads (label, width, height, ...).
+ */
+const GroupNode = memo(function GroupNode({ id, data, selected }) {
+  return (
+    <NodeShell id={id} data={data} selected={selected} className="eq-pipeline-compact-group-node" />
+  );
+});
+
+export default GroupNode;
@@ -1,9 +1,26 @@
 import React, { memo, useCallback, useEffect, useRef, useState } from 'react';
 import { Handle, Position, useUpdateNodeInternals } from 'reactflow';
-import { DEFAULTS } from './defaults.js';
+import { DEFAULTS, resolveFlowSides } from './defaults.js';
 import './nodeShell.css';
 
 const CENTER_X_TRANSFORM = 'translateX(-50%)';
+const CENTER_Y_TRANSFORM = 'translateY(-50%)';
+
+const SIDE_POSITIONS = {
+  top: Position.Top,
+  bottom: Position.Bottom,
+  left: Position.Left,
+  right: Position.Right,
+};
+
+// Spread handles along their side: across the box on top/bottom,
+// down the box on left/right.
+function handleStyle(side, offset) {
+  if (side === 'left' || side === 'right') {
+    return { top: `calc(50% + ${offset}px)`, transform: CENTER_Y_TRANSFORM };
+  }
+  return { left: `calc(50% + ${offset}px)`, transform: CENTER_X_TRANSFORM };
+}
 
 const LABEL_BASE_STYLE = {
   position: 'absolute',
@@ -45,7 +62,9 @@ const LABEL_DEFAULT_STYLE = {
  *
  * Props:
  *   id        - node ID (from ReactFlow)
- *   data      - node data object (from ReactFlow)
+ *   data      - node data object (from ReactFlow); `data.direction`
+ *               ('TB' | 'LR' | 'BT' | 'RL') picks the handle sides,
+ *               `data.pinned` marks the box as pinned
  *   selected  - boolean (from ReactFlow)
  *   children  - content rendered inside the node box
  *   className - CSS class(es) for the outer box
@@ -57,18 +76,19 @@ const NodeShell = memo(function NodeShell({ id, data, selected, children, classN
 
   const inputs = data.inputs || 0;
   const outputs = data.outputs || 0;
+  const sides = resolveFlowSides(data.direction);
 
   const [hovered, setHovered] = useState(false);
 
   const updateNodeInternals = useUpdateNodeInternals();
-  const prevHandles = useRef(`${inputs}-${outputs}`);
+  const prevHandles = useRef(`${inputs}-${outputs}-${sides.input}`);
   useEffect(() => {
-    const key = `${inputs}-${outputs}`;
+    const key = `${inputs}-${outputs}-${sides.input}`;
     if (prevHandles.current !== key) {
       prevHandles.current = key;
       updateNodeInternals(id);
     }
-  }, [inputs, outputs, id, updateNodeInternals]);
+  }, [inputs, outputs, sides.input, id, updateNodeInternals]);
 
   const label = data.label || '';
   const labelEditable = data.editable != null ? data.editable : true;
@@ -129,6 +149,7 @@ const NodeShell = memo(function NodeShell({ id, data, selected, children, classN
   if (className) wrapperClass += ' ' + className;
   if (selected) wrapperClass += ' selected';
   if (hovered) wrapperClass += ' hover';
+  if (data.pinned) wrapperClass += ' pinned';
 
   const baseStyle = {
     width,
@@ -187,13 +208,10 @@ const NodeShell = memo(function NodeShell({ id, data, selected, children, classN
           <Handle
             key={`input-${i}`}
             type="target"
-            position={Position.Top}
+            position={SIDE_POSITIONS[sides.input]}
             id={`input-${i}`}
             className="eq-pipeline-compact-node-handle"
-            style={{
-              left: `calc(50% + ${offset}px)`,
-              transform: CENTER_X_TRANSFORM,
-            }}
+            style={handleStyle(sides.input, offset)}
           />
         );
       })}
@@ -205,13 +223,10 @@ const NodeShell = memo(function NodeShell({ id, data, selected, children, classN
           <Handle
             key={`output-${i}`}
             type="source"
-            position={Position.Bottom}
+            position={SIDE_POSITIONS[sides.output]}
             id={`output-${i}`}
             className="eq-pipeline-compact-node-handle"
-            style={{
-              left: `calc(50% + ${offset}px)`,
-              transform: CENTER_X_TRANSFORM,
-            }}
+            style={handleStyle(sides.output, offset)}
           />
         );
       })}
@@ -219,14 +234,10 @@ const NodeShell = memo(function NodeShell({ id, data, selected, children, classN
       {/* Hidden handle for action edge connection */}
       <Handle
         type="source"
-        position={Position.Bottom}
+        position={SIDE_POSITIONS[sides.output]}
         id="__action-output"
         className="eq-pipeline-compact-node-action-output-handle"
-        style={{
-          left: '50%',
-          transform: CENTER_X_TRANSFORM,
-          bottom: 0,
-        }}
+        style={{ ...handleStyle(sides.output, 0), [sides.output]: 0 }}
       />
     </div>
   );
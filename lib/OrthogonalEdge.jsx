@@ -1,7 +1,7 @@
-import React, { useState, useCallback } from 'react';
-import { BaseEdge, EdgeLabelRenderer, useNodes } from 'reactflow';
+import React, { useState, useCallback, useRef } from 'react';
+import { BaseEdge, EdgeLabelRenderer, useNodes, useReactFlow } from 'reactflow';
 import { computeOrthogonalPath, waypointsToSvgPath } from './orthogonalRouter.js';
-import { DEFAULTS, resolveNodeX, resolveNodeY, resolveNodeWidth, resolveNodeHeight } from './defaults.js';
+import { DEFAULTS, resolveNodeX, resolveNodeY, resolveNodeWidth, resolveNodeHeight, resolveSelfLoopSide } from './defaults.js';
 import { useEdgeRouting } from './EdgeRoutingProvider.jsx';
 import './orthogonalEdge.css';
 
@@ -53,13 +53,30 @@ function buildNodeRect(n, cfg) {
   };
 }
 
+function endpointRect(nodes, id, allowedSides, cfg) {
+  if (!allowedSides) return null;
+  const node = nodes.find((n) => n.id === id);
+  return node ? buildNodeRect(node, cfg) : null;
+}
+
+function fallbackSelfLoop(nodes, source, target, cfg) {
+  if (source !== target) return null;
+  const node = nodes.find((n) => n.id === source);
+  return node ? { rect: buildNodeRect(node, cfg), index: 0, side: resolveSelfLoopSide(cfg) } : null;
+}
+
 function computeFallbackEdgePath(nodes, source, target, sourceX, sourceY, targetX, targetY, cfg) {
   const allRects = nodes
     .filter((n) => n.id !== source && n.id !== target)
     .map((n) => buildNodeRect(n, cfg));
 
   const { points } = computeOrthogonalPath(
-    sourceX, sourceY, targetX, targetY, allRects, cfg
+    sourceX, sourceY, targetX, targetY, allRects, {
+      ...cfg,
+      sourceRect: endpointRect(nodes, source, cfg.allowedSourceSides, cfg),
+      targetRect: endpointRect(nodes, target, cfg.allowedTargetSides, cfg),
+      selfLoop: fallbackSelfLoop(nodes, source, target, cfg),
+    }
   );
   return {
     edgePoints: points,
@@ -67,15 +84,74 @@ function computeFallbackEdgePath(nodes, source, target, sourceX, sourceY, target
   };
 }
 
-function renderEdgeLabel(label, labelX, labelY, data) {
-  if (!label || labelX == null || labelY == null) return null;
+// Height of a two-line edge label (see .eq-pipeline-edge-label).
+function labelStep(cfg) {
+  return Math.ceil(cfg.edgeLabelFontSize * 1.4 * 2) + 4;
+}
+
+/**
+ * Where the label goes: above the target for ordinary edges, one label
+ * height higher per earlier member of a parallel bundle, and beside the
+ * outer run of a self-loop (the point farthest from the node's handles).
+ */
+// Labels sit upstream of the target handle: above a top handle, left of a
+// left one (left-to-right flows), and so on.
+const LABEL_APPROACH = {
+  top: { dx: 0, dy: -1, anchor: 'translate(-50%, 0%)' },
+  bottom: { dx: 0, dy: 1, anchor: 'translate(-50%, -100%)' },
+  left: { dx: -1, dy: 0, anchor: 'translate(0%, -50%)' },
+  right: { dx: 1, dy: 0, anchor: 'translate(-100%, -50%)' },
+};
+
+function resolveLabelPlacement(label, points, isSelfLoop, bundle, cfg, targetSide) {
+  if (!label || !points || points.length < 2) return null;
+  const last = points[points.length - 1];
+  if (!isSelfLoop) {
+    const stack = bundle ? bundle.index * labelStep(cfg) : 0;
+    const approach = LABEL_APPROACH[targetSide] || LABEL_APPROACH.top;
+    const distance = cfg.edgeLabelDistanceFromTarget + stack;
+    return { x: last.x + approach.dx * distance, y: last.y + approach.dy * distance, anchor: approach.anchor };
+  }
+  return selfLoopLabelPlacement(points, resolveSelfLoopSide(cfg), cfg);
+}
+
+// Self-loop label: beside the middle of the loop's outer run, on the far
+// side from the node. The loop goes around `side`, so the run is vertical
+// for 'left' / 'right' and horizontal for 'top' / 'bottom'.
+function selfLoopLabelPlacement(points, side, cfg) {
+  const axis = side === 'left' || side === 'right' ? 'x' : 'y';
+  let outer = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    if (Math.abs(points[i][axis] - points[0][axis]) > Math.abs(points[outer][axis] - points[0][axis])) outer = i;
+  }
+  const a = points[outer];
+  const b = points[outer + 1];
+  const after = a[axis] >= points[0][axis];
+  const offset = after ? cfg.edgeLabelOffset : -cfg.edgeLabelOffset;
+  if (axis === 'y') {
+    return { x: (a.x + b.x) / 2, y: a.y + offset, anchor: after ? 'translate(-50%, 0%)' : 'translate(-50%, -100%)' };
+  }
+  return { x: a.x + offset, y: (a.y + b.y) / 2, anchor: after ? 'translate(0%, -50%)' : 'translate(-100%, -50%)' };
+}
+
+// Self-loop toolbar: middle of the run back towards the target, clear of the label.
+function selfLoopToolbarPoint(points) {
+  if (!points || points.length < 4) return pathMidpoint(points);
+  const a = points[points.length - 3];
+  const b = points[points.length - 2];
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+function renderEdgeLabel(label, placement, data) {
+  if (!label || !placement) return null;
+  const { x: labelX, y: labelY, anchor } = placement;
   const labelClassName = (data && data.labelClassName) || '';
   return (
     <EdgeLabelRenderer>
       <div
         style={{
           position: 'absolute',
-          transform: `translate(-50%, 0%) translate(${labelX}px,${labelY}px)`,
+          transform: `${anchor} translate(${labelX}px,${labelY}px)`,
           pointerEvents: 'auto',
           cursor: 'default',
           ...((data && data.labelStyle) || {}),
@@ -99,9 +175,19 @@ function resolveToolbarButton(buttonName, data, fallback) {
   };
 }
 
+function hasWaypoints(data) {
+  return !!(data && data.waypoints && data.waypoints.length > 0);
+}
+
+function canResetRoute(data) {
+  return !!(data && data.onWaypointsChange) && hasWaypoints(data)
+    && !resolveToolbarButton('resetRouteButton', data, {}).hidden;
+}
+
 function renderEdgeToolbar(data, id, mid, hasEdgeMenu, menuOpen, handlers) {
   var addBtn = resolveToolbarButton('addButton', data, { label: '+', title: 'Add node here' });
   var delBtn = resolveToolbarButton('deleteButton', data, { label: '\u00d7', title: 'Delete edge' });
+  var resetBtn = resolveToolbarButton('resetRouteButton', data, { label: '\u21ba', title: 'Reset route' });
   return (
     <EdgeLabelRenderer>
       <div
@@ -138,6 +224,17 @@ function renderEdgeToolbar(data, id, mid, hasEdgeMenu, menuOpen, handlers) {
             </div>
           )}
 
+          {/* Reset route — only when the edge has manual waypoints */}
+          {canResetRoute(data) && (
+            <button
+              onClick={handlers.handleResetRoute}
+              className="eq-pipeline-canvas-edge-toolbar-btn"
+              title={resetBtn.title}
+            >
+              {resetBtn.label}
+            </button>
+          )}
+
           {/* Delete button */}
           {data && data.onDeleteEdge && !delBtn.hidden && (
             (data && data.deleteButton) || (
@@ -156,12 +253,154 @@ function renderEdgeToolbar(data, id, mid, hasEdgeMenu, menuOpen, handlers) {
   );
 }
 
+/**
+ * Dots on the branch points of a bus (see `busRouting`). The provider hands
+ * each bus's junctions to a single member edge.
+ */
+function renderJunctions(junctions, radius, color) {
+  if (!junctions || junctions.length === 0) return null;
+  return junctions.map((p) => (
+    <circle
+      key={`${p.x},${p.y}`}
+      className="eq-pipeline-compact-edge-junction"
+      cx={p.x}
+      cy={p.y}
+      r={radius}
+      fill={color}
+    />
+  ));
+}
+
+// ---------- Segment handles (manual bend points) ----------
+
+function isHorizontalSegment(a, b) {
+  return Math.abs(a.y - b.y) < 0.5;
+}
+
+/**
+ * Move segment `index` (points[index] -> points[index + 1]) perpendicular
+ * to itself so that it passes through `pos`. Both neighbouring segments
+ * stretch, so the path stays orthogonal.
+ */
+function moveSegment(points, index, pos) {
+  const a = points[index];
+  const b = points[index + 1];
+  const next = points.slice();
+  if (isHorizontalSegment(a, b)) {
+    next[index] = { x: a.x, y: pos.y };
+    next[index + 1] = { x: b.x, y: pos.y };
+  } else {
+    next[index] = { x: pos.x, y: a.y };
+    next[index + 1] = { x: pos.x, y: b.y };
+  }
+  return next;
+}
+
+/**
+ * Interior points of a dragged path, stored as the edge's waypoints. Stub
+ * ends that were not moved are left out so they keep following the handles
+ * when nodes move.
+ */
+function waypointsFromDrag(original, moved) {
+  const inner = moved.slice(1, -1);
+  const last = inner.length - 1;
+  return inner.filter((p, i) => {
+    if (i !== 0 && i !== last) return true;
+    const o = original[i + 1];
+    return p.x !== o.x || p.y !== o.y;
+  });
+}
+
+/**
+ * Pointer handling for segment handles. While a drag is active the hook
+ * returns the previewed points and path instead of the routed ones; on
+ * release the new waypoints are reported through `data.onWaypointsChange`.
+ */
+function useSegmentDrag(id, data, points, path, bendRadius) {
+  const { screenToFlowPosition } = useReactFlow();
+  const onWaypointsChange = data && data.onWaypointsChange;
+  const onCommit = useCallback(
+    (waypoints) => { if (onWaypointsChange) onWaypointsChange(id, waypoints); },
+    [onWaypointsChange, id]
+  );
+  const [dragPoints, setDragPoints] = useState(null);
+  const dragRef = useRef(null);
+
+  const onPointerDown = useCallback((e, index) => {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { index, original: points, moved: points };
+    setDragPoints(points);
+  }, [points]);
+
+  const onPointerMove = useCallback((e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const pos = screenToFlowPosition({ x: e.clientX, y: e.clientY });
+    drag.moved = moveSegment(drag.original, drag.index, { x: Math.round(pos.x), y: Math.round(pos.y) });
+    setDragPoints(drag.moved);
+  }, [screenToFlowPosition]);
+
+  const onPointerUp = useCallback((e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    e.currentTarget.releasePointerCapture(e.pointerId);
+    dragRef.current = null;
+    setDragPoints(null);
+    if (drag.moved !== drag.original) onCommit(waypointsFromDrag(drag.original, drag.moved));
+  }, [onCommit]);
+
+  return {
+    editable: !!onWaypointsChange,
+    points: dragPoints || points,
+    path: dragPoints ? waypointsToSvgPath(dragPoints, bendRadius || 0) : path,
+    onCommit,
+    onPointerDown,
+    onPointerMove,
+    onPointerUp,
+  };
+}
+
+/**
+ * One handle at the middle of every interior segment; the source and
+ * target stubs are not draggable.
+ */
+function renderSegmentHandles(points, drag) {
+  if (!points) return null;
+  const handles = [];
+  for (let i = 1; i < points.length - 2; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const horizontal = isHorizontalSegment(a, b);
+    const index = i;
+    handles.push(
+      <rect
+        key={i}
+        className="nodrag nopan eq-pipeline-compact-edge-segment-handle"
+        x={(a.x + b.x) / 2 - (horizontal ? 8 : 3)}
+        y={(a.y + b.y) / 2 - (horizontal ? 3 : 8)}
+        width={horizontal ? 16 : 6}
+        height={horizontal ? 6 : 16}
+        rx={3}
+        style={{ cursor: horizontal ? 'ns-resize' : 'ew-resize' }}
+        onPointerDown={(e) => drag.onPointerDown(e, index)}
+        onPointerMove={drag.onPointerMove}
+        onPointerUp={drag.onPointerUp}
+      />
+    );
+  }
+  return handles;
+}
+
 export default function OrthogonalEdge({
   id,
   sourceX,
   sourceY,
   targetX,
   targetY,
+  sourcePosition,
+  targetPosition,
   source,
   target,
   data,
@@ -173,6 +412,9 @@ export default function OrthogonalEdge({
     ...DEFAULTS,
     ...((data && data.routingConfig) || {}),
     earlyBendBias: resolveEarlyBendBias(data),
+    waypoints: (data && data.waypoints) || null,
+    sourceDir: sourcePosition,
+    targetDir: targetPosition,
   };
   const [hovered, setHovered] = useState(false);
   const [menuOpen, setMenuOpen] = useState(false);
@@ -180,41 +422,47 @@ export default function OrthogonalEdge({
   const onMouseEnter = useCallback(() => setHovered(true), []);
   const onMouseLeave = useCallback(() => setHovered(false), []);
 
-  // Try pre-computed path from EdgeRoutingProvider (includes separation + rounding)
+  // Try pre-computed path from EdgeRoutingProvider (includes separation, rounding and line jumps)
   const routed = useEdgeRouting(id);
 
   // Fallback: compute independently when no provider is present
   const nodes = useNodes();
   let edgePath;
   let edgePoints;
+  let bundle = null;
 
   if (routed) {
     edgePath = routed.path;
     edgePoints = routed.points;
+    bundle = routed.bundle;
   } else {
     const result = computeFallbackEdgePath(nodes, source, target, sourceX, sourceY, targetX, targetY, cfg);
     edgePoints = result.edgePoints;
     edgePath = result.edgePath;
   }
 
+  // --- Manual bend points: a drag preview replaces the routed path ---
+  const segmentDrag = useSegmentDrag(id, data, edgePoints, edgePath, cfg.bendRadius);
+  edgePoints = segmentDrag.points;
+  edgePath = segmentDrag.path;
+
   // --- Edge label ---
   const label = data && data.label;
-  let labelX, labelY;
-
-  if (label && edgePoints && edgePoints.length >= 2) {
-    const last = edgePoints.length - 1;
-    labelX = edgePoints[last].x;
-    labelY = targetY - cfg.edgeLabelDistanceFromTarget;
-  }
+  const isSelfLoop = source === target;
+  const labelPlacement = resolveLabelPlacement(label, edgePoints, isSelfLoop, bundle, cfg, targetPosition);
+  // Bundle members sit closer than the default hit area, so narrow it to
+  // keep every member clickable on its own
+  const hitWidth = bundle ? bundle.spacing : 20;
 
   // --- Midpoint toolbar (delete + inline add) ---
-  const mid = (hovered || selected) ? pathMidpoint(edgePoints) : null;
+  const toolbarPoint = isSelfLoop ? selfLoopToolbarPoint : pathMidpoint;
+  const mid = (hovered || selected) ? toolbarPoint(edgePoints) : null;
   const hasEdgeMenu = !!(data && data.renderEdgeMenu);
   var _addResolved = resolveToolbarButton('addButton', data, { label: '+', title: 'Add node here' });
   var _delResolved = resolveToolbarButton('deleteButton', data, { label: '\u00d7', title: 'Delete edge' });
   var hasVisibleAdd = hasEdgeMenu && !_addResolved.hidden;
   var hasVisibleDelete = !!(data && data.onDeleteEdge) && !_delResolved.hidden;
-  const showToolbar = !!(mid && (hasVisibleDelete || hasVisibleAdd));
+  const showToolbar = !!(mid && (hasVisibleDelete || hasVisibleAdd || canResetRoute(data)));
 
   const handleDelete = useCallback(
     (e) => {
@@ -224,6 +472,14 @@ export default function OrthogonalEdge({
     [data && data.onDeleteEdge, id]
   );
 
+  const handleResetRoute = useCallback(
+    (e) => {
+      e.stopPropagation();
+      segmentDrag.onCommit(null);
+    },
+    [segmentDrag.onCommit]
+  );
+
   const toggleMenu = useCallback((e) => {
     e.stopPropagation();
     if (data && data.renderEdgeMenu) {
@@ -243,18 +499,21 @@ export default function OrthogonalEdge({
         path={edgePath}
         markerEnd={markerEnd}
         style={style}
+        interactionWidth={hitWidth}
       />
       {/* Wider invisible path for easier hover detection */}
       <path
         d={edgePath}
         fill="none"
         stroke="transparent"
-        strokeWidth={20}
+        strokeWidth={hitWidth}
         onMouseEnter={onMouseEnter}
         onMouseLeave={onMouseLeave}
       />
-      {renderEdgeLabel(label, labelX, labelY, data)}
-      {showToolbar && mid && renderEdgeToolbar(data, id, mid, hasEdgeMenu, menuOpen, { toggleMenu, handleDelete, onMouseEnter, onMouseLeave, setMenuOpen })}
+      {routed && renderJunctions(routed.junctions, cfg.busJunctionRadius, (style && style.stroke) || cfg.edgeStrokeColor)}
+      {selected && segmentDrag.editable && !isSelfLoop && renderSegmentHandles(edgePoints, segmentDrag)}
+      {renderEdgeLabel(label, labelPlacement, data)}
+      {showToolbar && mid && renderEdgeToolbar(data, id, mid, hasEdgeMenu, menuOpen, { toggleMenu, handleDelete, handleResetRoute, onMouseEnter, onMouseLeave, setMenuOpen })}
     </g>
   );
 }
@@ -10,11 +10,15 @@ import "reactflow/dist/style.css";
 import OrthogonalEdge from "./OrthogonalEdge.jsx";
 import ActionEdge from "./ActionEdge.jsx";
 import ActionNode from "./ActionNode.jsx";
+import SubgraphNode from "./SubgraphNode.jsx";
 import EdgeRoutingProvider from "./EdgeRoutingProvider.jsx";
 import ZoomBar from "./ZoomBar.jsx";
+import SwimlaneBackground from "./SwimlaneBackground.jsx";
+import useLayoutAnimation from "./useLayoutAnimation.js";
+import useFlowHistory from "./useFlowHistory.js";
 import { getVisibleGraph } from "./layoutEngine.js";
-import { DEFAULTS, resolveNodeX, resolveNodeY } from "./defaults.js";
-import { removeDanglingEdges, reindexAllHandles } from "./graphUtils.js";
+import { DEFAULTS, resolveNodeX, resolveNodeY, resolveFlowSides, isHorizontalFlow } from "./defaults.js";
+import { removeDanglingEdges, reindexAllHandles, isPinned } from "./graphUtils.js";
 import {
     toggleCollapse,
     addNode,
@@ -22,11 +26,18 @@ import {
     connectNodes,
     deleteNode,
     deleteEdge,
+    setEdgeWaypoints,
+    togglePin,
+    collapseSubgraph,
+    expandSubgraph,
+    collapseAll,
+    expandAll,
+    collapseToDepth,
     layoutAll,
 } from "./graphActions.js";
 
 const builtInEdgeTypes = { orthogonal: OrthogonalEdge, __action: ActionEdge };
-const builtInNodeTypes = { __action: ActionNode };
+const builtInNodeTypes = { __action: ActionNode, __subgraph: SubgraphNode };
 
 var RF_MIN_ZOOM = 0.5;
 var RF_MAX_ZOOM = 2;
@@ -39,13 +50,37 @@ function sliderToRfZoom(slider) {
     return RF_MIN_ZOOM + (slider / 100) * (RF_MAX_ZOOM - RF_MIN_ZOOM);
 }
 
+/**
+ * Top-left of a node's "+" button: `addButtonVerticalOffset` past the node's
+ * output side, shifted across the flow when the node already has outgoing
+ * edges.
+ */
+function resolveActionPosition(n, isConnected, size, cfg) {
+    const pw = (n.data && n.data.width) || cfg.nodeWidth;
+    const ph = (n.data && n.data.height) || cfg.nodeHeight;
+    const crossSize = isHorizontalFlow(cfg.direction) ? ph : pw;
+    const along = cfg.addButtonVerticalOffset || 16;
+    const across = isConnected ? (cfg.addButtonRightOffset ?? (crossSize / 2 + 8)) : 0;
+
+    const parentX = resolveNodeX(n);
+    const parentY = resolveNodeY(n);
+    const crossX = parentX + pw / 2 + across - size / 2;
+    const crossY = parentY + ph / 2 + across - size / 2;
+    const side = resolveFlowSides(cfg.direction).output;
+    if (side === "top") return { x: crossX, y: parentY - along - size };
+    if (side === "right") return { x: parentX + pw + along, y: crossY };
+    if (side === "left") return { x: parentX - along - size, y: crossY };
+    return { x: crossX, y: parentY + ph + along };
+}
+
 function buildActionNodesAndEdges(finalNodes, outputCounts, hoveredNodeId, renderNodeMenuRef, cfg, onHoverParent, onUnhoverParent) {
     const actionNodes = [];
     const actionEdges = [];
 
     for (const n of finalNodes) {
         const isActive = n.id === hoveredNodeId || n.selected;
-        if (!isActive || !renderNodeMenuRef.current) continue;
+        // Nodes cannot be added after a collapsed subgraph's placeholder
+        if (!isActive || n.data.isSubgraph || !renderNodeMenuRef.current) continue;
 
         const menuContent = renderNodeMenuRef.current(n.id);
         if (!menuContent) continue;
@@ -53,22 +88,12 @@ function buildActionNodesAndEdges(finalNodes, outputCounts, hoveredNodeId, rende
         const isDirectAction = menuContent && typeof menuContent === 'object' && typeof menuContent.onClick === 'function';
 
         const isConnected = (outputCounts.get(n.id) || 0) > 0;
-        const pw = (n.data && n.data.width) || cfg.nodeWidth;
-        const ph = (n.data && n.data.height) || cfg.nodeHeight;
-        const vOffset = cfg.addButtonVerticalOffset || 16;
-        const hOffset = isConnected ? (cfg.addButtonRightOffset ?? (pw / 2 + 8)) : 0;
         const size = cfg.addButtonSize || 24;
 
-        const parentX = resolveNodeX(n);
-        const parentY = resolveNodeY(n);
-
         actionNodes.push({
             id: `__action-${n.id}`,
             type: '__action',
-            position: {
-                x: parentX + pw / 2 + hOffset - size / 2,
-                y: parentY + ph + vOffset,
-            },
+            position: resolveActionPosition(n, isConnected, size, cfg),
             data: {
                 parentId: n.id,
                 size,
@@ -76,6 +101,7 @@ function buildActionNodesAndEdges(finalNodes, outputCounts, hoveredNodeId, rende
                 onDirectClick: isDirectAction ? menuContent.onClick : undefined,
                 onHoverParent,
                 onUnhoverParent,
+                direction: cfg.direction,
             },
             selectable: false,
             draggable: false,
@@ -119,6 +145,7 @@ function OrthogonalFlowInner({
     onSelectionChange: onSelectionChangeProp,
     zoomValue: zoomValueProp,
     onZoomChange: onZoomChangeProp,
+    onHistoryChange: onHistoryChangeProp,
     showZoom: showZoomProp,
     renderNodeMenu,
     renderEdgeMenu,
@@ -127,16 +154,47 @@ function OrthogonalFlowInner({
     api,
     config,
     autoLayout,
+    routingEngine,
     nodeTypes: userNodeTypes,
     edgeTypes: userEdgeTypes,
     children,
     ...rfProps
 }) {
     const reactFlowInstance = useReactFlow();
+
+    // Undo/redo: a snapshot is recorded before every change (see fireChange)
+    // and restored as is, without autoLayout. Ctrl+Z is heard on the flow's
+    // wrapper, so only the flow that has focus answers it.
+    const wrapperRef = useRef(null);
+    const {
+        record: recordHistory,
+        begin: beginTransaction,
+        end: endTransaction,
+        undo, redo, canUndo, canRedo,
+        clear: clearHistory,
+        status: historyStatus,
+    } = useFlowHistory(
+        () => ({ nodes: nodesRef.current, edges: edgesRef.current }),
+        (snapshot) => {
+            requestLayoutAnimation(null, false);
+            if (onChangeRef.current) onChangeRef.current({ nodes: snapshot.nodes, edges: snapshot.edges });
+        },
+        config,
+        wrapperRef,
+    );
+    const onHistoryChangeRef = useRef(onHistoryChangeProp);
+    onHistoryChangeRef.current = onHistoryChangeProp;
+    useEffect(() => {
+        if (onHistoryChangeRef.current) onHistoryChangeRef.current(historyStatus);
+    }, [historyStatus]);
+
     var didDragRef = useRef(false);
+    // State before the current drag; a drag that moves anything is one undo step
+    var dragSnapshotRef = useRef(null);
 
     var handleNodeDragStart = useCallback(function () {
         didDragRef.current = false;
+        dragSnapshotRef.current = { nodes: nodesRef.current, edges: edgesRef.current };
         if (rfProps.onNodeDragStart) rfProps.onNodeDragStart.apply(null, arguments);
     }, [rfProps.onNodeDragStart]);
 
@@ -146,8 +204,12 @@ function OrthogonalFlowInner({
     }, [rfProps.onNodeDrag]);
 
     var handleNodeDragStop = useCallback(function () {
+        if (didDragRef.current && dragSnapshotRef.current && appOnNodesChangeRef.current) {
+            recordHistory(dragSnapshotRef.current);
+        }
+        dragSnapshotRef.current = null;
         if (rfProps.onNodeDragStop) rfProps.onNodeDragStop.apply(null, arguments);
-    }, [rfProps.onNodeDragStop]);
+    }, [rfProps.onNodeDragStop, recordHistory]);
 
     var lastSelectedNodeIdRef = useRef(null);
 
@@ -273,32 +335,80 @@ function OrthogonalFlowInner({
 
     const autoLayoutRef = useRef(autoLayout);
     autoLayoutRef.current = autoLayout;
+    const selfLoopsRef = useRef(false);
+    selfLoopsRef.current = !!(config && config.selfLoops);
+    const layoutConfigRef = useRef(config);
+    layoutConfigRef.current = config;
+    const layoutAnimationRef = useRef(null);
+
+    // Animate the next nodes (see useLayoutAnimation) from/into `anchor`.
+    // Collapse requests follow `collapseAnimation`, the rest `layoutAnimation`.
+    const requestLayoutAnimation = useCallback((anchor, collapse) => {
+        const cfg = { ...DEFAULTS, ...(layoutConfigRef.current || {}) };
+        if (collapse ? cfg.collapseAnimation : cfg.layoutAnimation) {
+            layoutAnimationRef.current = { anchor };
+        }
+    }, []);
 
     const fireChange = useCallback((nextNodes, nextEdges) => {
         if (onChangeRef.current) {
+            recordHistory();
             if (autoLayoutRef.current) {
-                const result = layoutAll(nextNodes, nextEdges);
+                const result = layoutAll(nextNodes, nextEdges, layoutConfigRef.current, nodesRef.current);
+                if (result.displacement > 0 && !layoutAnimationRef.current) requestLayoutAnimation(null, false);
                 onChangeRef.current({ nodes: result.nodes, edges: result.edges });
             } else {
                 onChangeRef.current({ nodes: nextNodes, edges: nextEdges });
             }
         }
-    }, []);
+    }, [requestLayoutAnimation, recordHistory]);
 
     const onToggleCollapse = useCallback((nodeId, collapsed) => {
-        const result = toggleCollapse(nodesRef.current, edgesRef.current, nodeId, collapsed);
-        if (result) fireChange(result.nodes, result.edges);
-    }, [fireChange]);
+        const result = toggleCollapse(nodesRef.current, edgesRef.current, nodeId, collapsed, layoutConfigRef.current);
+        if (!result) return;
+        requestLayoutAnimation(nodeId, true);
+        fireChange(result.nodes, result.edges);
+    }, [fireChange, requestLayoutAnimation]);
+
+    // Collapse/expand many branches at once: `action` is collapseAll,
+    // expandAll or collapseToDepth, with its extra arguments
+    const handleBulkCollapse = useCallback((action, ...args) => {
+        const result = action(nodesRef.current, edgesRef.current, ...args, layoutConfigRef.current);
+        if (!result) return;
+        requestLayoutAnimation(null, true);
+        fireChange(result.nodes, result.edges);
+    }, [fireChange, requestLayoutAnimation]);
+
+    // Returns the placeholder id, or null if the nodes can't be collapsed
+    const handleCollapseSubgraph = useCallback((nodeIds, label) => {
+        const result = collapseSubgraph(nodesRef.current, edgesRef.current, nodeIds, layoutConfigRef.current, label);
+        if (!result) return null;
+        requestLayoutAnimation(result.placeholderId, true);
+        fireChange(result.nodes, result.edges);
+        return result.placeholderId;
+    }, [fireChange, requestLayoutAnimation]);
+
+    const handleExpandSubgraph = useCallback((placeholderId) => {
+        const result = expandSubgraph(nodesRef.current, edgesRef.current, placeholderId, layoutConfigRef.current);
+        if (!result) return;
+        requestLayoutAnimation(placeholderId, true);
+        fireChange(result.nodes, result.edges);
+    }, [fireChange, requestLayoutAnimation]);
 
     const handleAddNode = useCallback((parentId, type) => {
-        const result = addNode(nodesRef.current, edgesRef.current, parentId, type, onCreateNodeRef.current);
-        if (result) fireChange(result.nodes, result.edges);
-    }, [fireChange]);
+        const result = addNode(nodesRef.current, edgesRef.current, parentId, type, onCreateNodeRef.current, layoutConfigRef.current);
+        if (!result) return;
+        requestLayoutAnimation(parentId, false);
+        fireChange(result.nodes, result.edges);
+    }, [fireChange, requestLayoutAnimation]);
 
     const handleAddNodeInline = useCallback((edgeId, type) => {
-        const result = addNodeInline(nodesRef.current, edgesRef.current, edgeId, type, onCreateNodeInlineRef.current);
-        if (result) fireChange(result.nodes, result.edges);
-    }, [fireChange]);
+        const edge = edgesRef.current.find((e) => e.id === edgeId);
+        const result = addNodeInline(nodesRef.current, edgesRef.current, edgeId, type, onCreateNodeInlineRef.current, layoutConfigRef.current);
+        if (!result) return;
+        requestLayoutAnimation(edge ? edge.source : null, false);
+        fireChange(result.nodes, result.edges);
+    }, [fireChange, requestLayoutAnimation]);
 
     const handleConnectToExisting = useCallback((sourceNodeId, targetNodeId) => {
         const result = connectNodes(nodesRef.current, edgesRef.current, sourceNodeId, targetNodeId, onConnectNodesRef.current);
@@ -317,6 +427,11 @@ function OrthogonalFlowInner({
         }
     }, [fireChange]);
 
+    const handleWaypointsChange = useCallback((edgeId, waypoints) => {
+        const result = setEdgeWaypoints(nodesRef.current, edgesRef.current, edgeId, waypoints);
+        if (result) fireChange(result.nodes, result.edges);
+    }, [fireChange]);
+
     const handleDeleteNode = useCallback((nodeId) => {
         const onDeleteNodeFn = onDeleteNodeRef.current;
         if (onDeleteNodeFn) {
@@ -345,10 +460,18 @@ function OrthogonalFlowInner({
         fireChange(updatedNodes, edgesRef.current);
     }, [fireChange]);
 
+    const handleTogglePin = useCallback((nodeId, pinned) => {
+        const result = togglePin(nodesRef.current, edgesRef.current, nodeId, pinned);
+        if (result) fireChange(result.nodes, result.edges);
+    }, [fireChange]);
+
+    // Returns the layout's total node displacement
     const handleLayout = useCallback(() => {
-        const result = layoutAll(nodesRef.current, edgesRef.current);
+        const result = layoutAll(nodesRef.current, edgesRef.current, layoutConfigRef.current);
+        requestLayoutAnimation(null, false);
         fireChange(result.nodes, result.edges);
-    }, [fireChange]);
+        return result.displacement;
+    }, [fireChange, requestLayoutAnimation]);
 
     // --- Attach methods to api object ---
     useEffect(() => {
@@ -358,6 +481,27 @@ function OrthogonalFlowInner({
         api.connectNodes = (sourceId, targetId) => handleConnectToExisting(sourceId, targetId);
         api.deleteEdge = (edgeId) => handleDeleteEdge(edgeId);
         api.deleteNode = (nodeId) => handleDeleteNode(nodeId);
+        api.setEdgeWaypoints = (edgeId, waypoints) => handleWaypointsChange(edgeId, waypoints);
+        api.resetEdgeRoute = (edgeId) => handleWaypointsChange(edgeId, null);
+        api.pinNode = (nodeId) => handleTogglePin(nodeId, true);
+        api.unpinNode = (nodeId) => handleTogglePin(nodeId, false);
+        api.isPinned = (nodeId) => isPinned(nodesRef.current.find((n) => n.id === nodeId));
+        api.collapseSubgraph = (nodeIds, label) => handleCollapseSubgraph(nodeIds, label);
+        api.collapseSelection = (label) => handleCollapseSubgraph(
+            nodesRef.current.filter((n) => n.selected).map((n) => n.id), label,
+        );
+        api.expandSubgraph = (placeholderId) => handleExpandSubgraph(placeholderId);
+        api.undo = () => undo();
+        api.redo = () => redo();
+        api.canUndo = () => canUndo();
+        api.canRedo = () => canRedo();
+        api.beginTransaction = () => beginTransaction();
+        api.endTransaction = () => endTransaction();
+        api.checkpoint = () => recordHistory();
+        api.clearHistory = () => clearHistory();
+        api.collapseAll = () => handleBulkCollapse(collapseAll);
+        api.expandAll = () => handleBulkCollapse(expandAll);
+        api.collapseToDepth = (depth) => handleBulkCollapse(collapseToDepth, depth);
         api.layout = () => handleLayout();
         api.fitView = () => reactFlowInstance && reactFlowInstance.fitView();
         api.getViewport = function () {
@@ -372,7 +516,7 @@ function OrthogonalFlowInner({
         };
         api.getNodes = () => nodesRef.current;
         api.getEdges = () => edgesRef.current;
-    }, [api, handleAddNode, handleAddNodeInline, handleConnectToExisting, handleDeleteEdge, handleDeleteNode, handleLayout, reactFlowInstance]);
+    }, [api, handleAddNode, handleAddNodeInline, handleConnectToExisting, handleDeleteEdge, handleDeleteNode, handleWaypointsChange, handleTogglePin, handleCollapseSubgraph, handleExpandSubgraph, handleBulkCollapse, handleLayout, reactFlowInstance, undo, redo, canUndo, canRedo, beginTransaction, endTransaction, recordHistory, clearHistory]);
 
     // --- Visible graph computation ---
     const { visibleNodes, visibleEdges } = useMemo(() => {
@@ -383,6 +527,7 @@ function OrthogonalFlowInner({
             const extra = {};
             extra.onToggleCollapse = onToggleCollapse;
             extra.onDeleteNode = handleDeleteNode;
+            extra.onTogglePin = handleTogglePin;
             // Inject renderMenu so nodes can show app-provided menus
             if (renderNodeMenuRef.current) {
                 extra.renderMenu = () => renderNodeMenuRef.current(n.id);
@@ -402,7 +547,7 @@ function OrthogonalFlowInner({
                 : n;
         });
 
-        const { visibleNodes: vn, visibleEdges: ve } = getVisibleGraph(withCallbacks, sanitizedEdges);
+        const { visibleNodes: vn, visibleEdges: ve, summaries } = getVisibleGraph(withCallbacks, sanitizedEdges, cfg);
 
         // Derive inputs/outputs counts from visible edges
         const outputCounts = new Map();
@@ -420,6 +565,10 @@ function OrthogonalFlowInner({
                 ...n.data,
                 inputs: inputCounts.get(n.id) || 0,
                 outputs: outputCounts.get(n.id) || 0,
+                direction: cfg.direction,
+                collapsedSummary: summaries.get(n.id) || null,
+                // Collapsed subgraphs expand through their placeholder's button
+                ...(n.data.isSubgraph ? { onToggleCollapse: handleExpandSubgraph } : null),
             },
         }));
 
@@ -429,6 +578,7 @@ function OrthogonalFlowInner({
             data: {
                 ...(e.data || {}),
                 onDeleteEdge: handleDeleteEdge,
+                onWaypointsChange: handleWaypointsChange,
                 renderEdgeMenu: renderEdgeMenuRef.current
                     ? () => renderEdgeMenuRef.current(e.id, e.source, e.target)
                     : undefined,
@@ -445,7 +595,14 @@ function OrthogonalFlowInner({
             visibleNodes: finalNodes.concat(actionNodes),
             visibleEdges: edgesWithCallbacks.concat(actionEdges),
         };
-    }, [nodes, sanitizedEdges, onToggleCollapse, handleDeleteEdge, handleDeleteNode, handleLabelChange, hoveredNodeId, config, onHoverParent, onUnhoverParent]);
+    }, [nodes, sanitizedEdges, onToggleCollapse, handleDeleteEdge, handleWaypointsChange, handleDeleteNode, handleTogglePin, handleExpandSubgraph, handleLabelChange, hoveredNodeId, config, onHoverParent, onUnhoverParent]);
+
+    // Layout results move into place instead of jumping; with
+    // `layoutAnimationEdges: "fade"` (the default) edges are hidden and not
+    // routed until they land
+    const { nodes: shownNodes, animating } = useLayoutAnimation(visibleNodes, config, layoutAnimationRef);
+    const edgeAnimation = (config && config.layoutAnimationEdges) || DEFAULTS.layoutAnimationEdges;
+    const fadeEdges = animating && edgeAnimation === "fade";
 
     // --- ReactFlow event handlers ---
     const onNodesChange = useCallback((changes) => {
@@ -457,21 +614,33 @@ function OrthogonalFlowInner({
         const removeChanges = realChanges.filter((c) => c.type === 'remove');
         const otherChanges = realChanges.filter((c) => c.type !== 'remove');
 
+        // Removing several nodes at once is one undo step
+        if (removeChanges.length > 0) beginTransaction();
         for (const rc of removeChanges) {
             handleDeleteNode(rc.id);
         }
+        if (removeChanges.length > 0) endTransaction();
 
         if (otherChanges.length > 0) {
             appOnNodesChangeRef.current(otherChanges);
         }
-    }, [handleDeleteNode]);
+    }, [handleDeleteNode, beginTransaction, endTransaction]);
 
     const onEdgesChange = useCallback((changes) => {
         if (!appOnEdgesChangeRef.current) return;
         const realChanges = changes.filter((c) => !(c.id && c.id.startsWith('__action')));
         if (realChanges.length === 0) return;
+        // The app removes edges itself; record the state before. React Flow
+        // deletes the edges of a deleted node first and then the node, in
+        // the same task, so keep the step open until the task ends and the
+        // node removal joins it instead of adding a second, identical step
+        if (realChanges.some((c) => c.type === 'remove')) {
+            beginTransaction();
+            recordHistory();
+            queueMicrotask(endTransaction);
+        }
         appOnEdgesChangeRef.current(realChanges);
-    }, []);
+    }, [recordHistory, beginTransaction, endTransaction]);
 
     // --- Connection via drag from action node (or any handle) ---
     const onConnectStart = useCallback((_, params) => {
@@ -497,8 +666,8 @@ function OrthogonalFlowInner({
             sourceId = sourceId.replace('__action-', '');
         }
 
-        // Ignore self-connections
-        if (sourceId === targetId) return;
+        // Ignore self-connections unless self-loops are enabled
+        if (sourceId === targetId && !selfLoopsRef.current) return;
 
         if (onConnectNodesRef.current) {
             const result = connectNodes(
@@ -534,8 +703,8 @@ function OrthogonalFlowInner({
             sourceHandle = undefined;
         }
 
-        // Ignore self-connections
-        if (source === params.target) return;
+        // Ignore self-connections unless self-loops are enabled
+        if (source === params.target && !selfLoopsRef.current) return;
 
         if (onConnectNodesRef.current) {
             const result = connectNodes(
@@ -600,10 +769,15 @@ function OrthogonalFlowInner({
     }, [reactFlowInstance, rfProps.onMoveEnd, rfProps.zoomOnScroll]);
 
     return (
-        <EdgeRoutingProvider config={config}>
-            <div style={{ position: "relative", width: "100%", height: "100%" }}>
+        <EdgeRoutingProvider config={config} engine={routingEngine} suspended={fadeEdges}>
+            <div
+                ref={wrapperRef}
+                tabIndex={-1}
+                className={fadeEdges ? "eq-pipeline-compact-flow edges-hidden" : "eq-pipeline-compact-flow"}
+                style={{ position: "relative", width: "100%", height: "100%", outline: "none" }}
+            >
                 <ReactFlow
-                    nodes={visibleNodes}
+                    nodes={shownNodes}
                     edges={visibleEdges}
                     onNodesChange={onNodesChange}
                     onEdgesChange={onEdgesChange}
@@ -624,6 +798,7 @@ function OrthogonalFlowInner({
                     onNodeClick={handleNodeClick}
                     onPaneClick={handlePaneClick}
                 >
+                    {config && config.lanes && <SwimlaneBackground config={config} />}
                     {children}
                 </ReactFlow>
                 {showZoomProp !== false && (
@@ -647,11 +822,12 @@ function OrthogonalFlowInner({
  *   onConnectNodes       - factory for connecting existing nodes
  *   onDeleteNode         - (nodeId, node, { nodes, edges }) => { nodes, edges } — custom node deletion
  *   onDeleteEdge         - (edgeId, edge, { nodes, edges }) => { nodes, edges } — custom edge deletion
+ *   onHistoryChange      - ({ canUndo, canRedo }) => void — called when either changes, e.g. to disable undo buttons
  *   deleteKeyCode        - key(s) for keyboard deletion (default: "Delete"). Use "Backspace", ["Delete","Backspace"], or null to disable
  *   renderNodeMenu       - (nodeId) => ReactElement — app provides menu content
  *   renderEdgeMenu       - (edgeId, sourceId, targetId) => ReactElement
  *   api                  - object from useOrthogonalFlow()
- *   config               - layout/routing config overrides
+ *   config               - layout/routing config overrides; `lanes` adds a SwimlaneBackground
  *   nodeTypes/edgeTypes  - additional types (merged with built-ins)
  *   children             - rendered inside ReactFlow (Controls, Background, etc.)
  */
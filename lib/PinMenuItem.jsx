@@ -0,0 +1,37 @@
+import React, { memo, useCallback } from 'react';
+import './nodeShell.css';
+
+/**
+ * PinMenuItem — "Pin position" / "Unpin position" entry for a node's
+ * action menu (e.g. inside NodeActionButton).
+ *
+ * Props:
+ *   nodeId    - node ID
+ *   data      - node data (reads data.onTogglePin, data.pinned)
+ *   className - custom CSS class, defaults to built-in class
+ *   style     - inline style overrides
+ */
+const PinMenuItem = memo(function PinMenuItem({ nodeId, data, className, style }) {
+  const pinned = !!(data && data.pinned);
+
+  const handleClick = useCallback(() => {
+    if (data && data.onTogglePin) data.onTogglePin(nodeId, !pinned);
+  }, [nodeId, pinned, data]);
+
+  if (!data || !data.onTogglePin) return null;
+
+  return (
+    <div
+      className={className || 'eq-pipeline-compact-action-menu-item'}
+      style={style}
+      role="menuitem"
+      tabIndex={0}
+      onClick={handleClick}
+      onKeyDown={(e) => { if (e.key === 'Enter') handleClick(); }}
+    >
+      {pinned ? 'Unpin position' : 'Pin position'}
+    </div>
+  );
+});
+
+export default PinMenuItem;
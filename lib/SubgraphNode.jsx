@@ -0,0 +1,24 @@
+import React, { memo } from 'react';
+import NodeShell from './NodeShell.jsx';
+import CollapseButton from './CollapseButton.jsx';
+import './nodeShell.css';
+
+/**
+ * SubgraphNode — placeholder for a collapsed subgraph (node type
+ * `__subgraph`, see collapseSubgraph). Shows the subgraph's label, a badge
+ * summarizing the hidden nodes and a button that expands it again.
+ *
+ * Props via data:
+ *   label            - subgraph label, defaults to "<n> steps"
+ *   collapsedSummary - see getVisibleGraph
+ *   onToggleCollapse - (id) => void, expands the subgraph
+ */
+const SubgraphNode = memo(function SubgraphNode({ id, data, selected }) {
+  return (
+    <NodeShell id={id} data={data} selected={selected} className="eq-pipeline-compact-subgraph-node">
+      <CollapseButton nodeId={id} data={data} icon="+" />
+    </NodeShell>
+  );
+});
+
+export default SubgraphNode;
@@ -0,0 +1,96 @@
+import React, { memo, useMemo } from 'react';
+import { useStore } from 'reactflow';
+import { DEFAULTS, isHorizontalFlow } from './defaults.js';
+import { computeLaneBands } from './swimlanes.js';
+import './nodeShell.css';
+
+const selectTransform = (s) => s.transform;
+const selectNodeInternals = (s) => s.nodeInternals;
+
+const layerStyle = {
+  position: 'absolute',
+  top: 0,
+  left: 0,
+  width: '100%',
+  height: '100%',
+  pointerEvents: 'none',
+};
+
+// Band and header rectangles in flow coordinates. Columns (vertical flows)
+// carry their header on top, rows (horizontal flows) on the left.
+function laneRects(band, horizontal, headerSize) {
+  const along = band.flowEnd - band.flowStart;
+  const across = band.end - band.start;
+  if (horizontal) {
+    return {
+      band: { x: band.flowStart, y: band.start, width: along, height: across },
+      header: { x: band.flowStart, y: band.start, width: headerSize, height: across },
+    };
+  }
+  return {
+    band: { x: band.start, y: band.flowStart, width: across, height: along },
+    header: { x: band.start, y: band.flowStart, width: across, height: headerSize },
+  };
+}
+
+function LaneLabel({ header, label, horizontal }) {
+  const cx = header.x + header.width / 2;
+  const cy = header.y + header.height / 2;
+  return (
+    <text
+      className="eq-pipeline-compact-lane-label"
+      x={cx}
+      y={cy}
+      textAnchor="middle"
+      dominantBaseline="central"
+      transform={horizontal ? `rotate(-90 ${cx} ${cy})` : undefined}
+    >
+      {label}
+    </text>
+  );
+}
+
+/**
+ * SwimlaneBackground — lane bands and headers behind the graph.
+ *
+ * Render inside <ReactFlow> (OrthogonalFlow does so when `config.lanes` is
+ * set). Bands are measured from the current node positions, see
+ * computeLaneBands, and follow the viewport.
+ *
+ * Props:
+ *   config - the flow config (`lanes`, `direction`, `lanePadding`, ...)
+ */
+const SwimlaneBackground = memo(function SwimlaneBackground({ config }) {
+  const [tx, ty, zoom] = useStore(selectTransform);
+  const nodeInternals = useStore(selectNodeInternals);
+
+  const { bands, horizontal, headerSize } = useMemo(() => {
+    const cfg = { ...DEFAULTS, ...(config || {}) };
+    return {
+      bands: computeLaneBands(Array.from(nodeInternals.values()), cfg),
+      horizontal: isHorizontalFlow(cfg.direction),
+      headerSize: cfg.laneHeaderSize,
+    };
+  }, [nodeInternals, config]);
+
+  if (bands.length === 0) return null;
+
+  return (
+    <svg className="eq-pipeline-compact-swimlanes" style={layerStyle}>
+      <g transform={`translate(${tx},${ty}) scale(${zoom})`}>
+        {bands.map((band, i) => {
+          const rects = laneRects(band, horizontal, headerSize);
+          return (
+            <g key={i} className={i % 2 === 0 ? 'eq-pipeline-compact-lane' : 'eq-pipeline-compact-lane odd'}>
+              <rect className="eq-pipeline-compact-lane-band" {...rects.band} />
+              <rect className="eq-pipeline-compact-lane-header" {...rects.header} />
+              {band.label && <LaneLabel header={rects.header} label={band.label} horizontal={horizontal} />}
+            </g>
+          );
+        })}
+      </g>
+    </svg>
+  );
+});
+
+export default SwimlaneBackground;
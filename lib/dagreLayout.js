@@ -1,5 +1,6 @@
 import dagre from "@dagrejs/dagre";
-import { DEFAULTS } from "./defaults.js";
+import { DEFAULTS, isHorizontalFlow } from "./defaults.js";
+import { applySwimlanes } from "./swimlanes.js";
 
 /**
  * Custom dagre ranker: longest path FROM source (Kahn's BFS).
@@ -43,6 +44,58 @@ function longestPathFromSource(g) {
     }
 }
 
+// ---------- Cycles ----------
+
+/**
+ * Find the feedback edges that close a cycle (e.g. retry loops).
+ *
+ * Depth-first search from the roots (nodes without incoming edges, in node
+ * order), then from any node not reached yet; an edge to a node still on the
+ * DFS stack is a back edge. Self-loops are back edges too. Removing the
+ * returned edges leaves a DAG, which is what longestPathFromSource needs.
+ *
+ * Returns a Set of edge ids.
+ */
+export function findBackEdges(nodes, edges) {
+    const out = new Map();
+    const inDeg = new Map();
+    for (const e of edges) {
+        if (!out.has(e.source)) out.set(e.source, []);
+        out.get(e.source).push(e);
+        if (e.source !== e.target) inDeg.set(e.target, (inDeg.get(e.target) || 0) + 1);
+    }
+
+    const back = new Set();
+    const state = new Map(); // id → 1 on stack, 2 done
+    const roots = nodes.filter((n) => !inDeg.get(n.id)).concat(nodes);
+    for (const root of roots) {
+        if (!state.has(root.id)) markBackEdgesFrom(root.id, out, state, back);
+    }
+    return back;
+}
+
+// Iterative DFS so long pipelines cannot overflow the call stack.
+function markBackEdgesFrom(rootId, out, state, back) {
+    state.set(rootId, 1);
+    const stack = [{ id: rootId, next: 0 }];
+    while (stack.length) {
+        const top = stack[stack.length - 1];
+        const children = out.get(top.id) || [];
+        if (top.next >= children.length) {
+            state.set(top.id, 2);
+            stack.pop();
+            continue;
+        }
+        const e = children[top.next++];
+        const s = state.get(e.target);
+        if (s === 1) back.add(e.id);
+        else if (!s) {
+            state.set(e.target, 1);
+            stack.push({ id: e.target, next: 0 });
+        }
+    }
+}
+
 // ---------- Helpers ----------
 
 function getNodeWidth(node, cfg) {
@@ -104,7 +157,7 @@ function determineLayerGap(prevNodeIds, curNodeIds, edgeMap, nodeDataMap, maxGap
     return normalGap;
 }
 
-function compactDagreRanks(g, nodes, edges, cfg) {
+function groupNodesByRank(g) {
     const rankToNodes = new Map();
     for (const nId of g.nodes()) {
         const n = g.node(nId);
@@ -113,7 +166,11 @@ function compactDagreRanks(g, nodes, edges, cfg) {
         if (!rankToNodes.has(rank)) rankToNodes.set(rank, []);
         rankToNodes.get(rank).push(nId);
     }
+    return rankToNodes;
+}
 
+function compactDagreRanks(g, nodes, edges, cfg) {
+    const rankToNodes = groupNodesByRank(g);
     const ranks = [...rankToNodes.keys()].sort((a, b) => a - b);
     if (ranks.length <= 1) return;
 
@@ -124,6 +181,10 @@ function compactDagreRanks(g, nodes, edges, cfg) {
     const edgeMap = new Map(edges.map((e) => [`${e.source}__${e.target}`, e]));
     const nodeDataMap = new Map(nodes.map((n) => [n.id, n]));
 
+    // Ranks advance along y (TB/BT) or x (LR/RL); BT and RL grow towards 0
+    const axis = isHorizontalFlow(cfg.direction) ? "x" : "y";
+    const sign = cfg.direction === "BT" || cfg.direction === "RL" ? -1 : 1;
+
     let cumulativeShift = 0;
     for (let i = 1; i < ranks.length; i++) {
         const prevRankNodes = rankToNodes.get(ranks[i - 1]);
@@ -134,32 +195,32 @@ function compactDagreRanks(g, nodes, edges, cfg) {
 
         if (cumulativeShift > 0) {
             for (const nId of curRankNodes) {
-                g.node(nId).y -= cumulativeShift;
+                g.node(nId)[axis] -= sign * cumulativeShift;
             }
         }
     }
+
+    // In BT/RL the last rank sits nearest 0 and moved away from it; pull the
+    // whole layout back so it starts at the same coordinate as TB/LR does
+    if (sign < 0 && cumulativeShift > 0) shiftAllNodes(g, axis, -cumulativeShift);
 }
 
-// ---------- Main layout function ----------
+function shiftAllNodes(g, axis, delta) {
+    for (const nId of g.nodes()) {
+        const n = g.node(nId);
+        if (n) n[axis] += delta;
+    }
+}
 
-/**
- * Build a positioned node array using dagre.
- *
- * Uses a custom ranker (longestPathFromSource) so branch children at the
- * same depth always share the same rank (same y-level), even when one
- * branch grows deeper than its siblings.
- *
- * Coordinate note:
- *   dagre outputs node x/y as the node *centre*; React Flow expects *top-left*.
- *   We subtract half the node dimensions when mapping back.
- */
-export function layoutGraphDagre(nodes, edges, config) {
-    const cfg = { ...DEFAULTS, ...(config || {}) };
+// ---------- Flat layout ----------
 
+// One level of the graph: every node is laid out side by side, nesting is
+// ignored.
+function layoutFlatDagre(nodes, edges, cfg) {
     const g = new dagre.graphlib.Graph();
     g.setDefaultEdgeLabel(() => ({}));
     g.setGraph({
-        rankdir: "TB",
+        rankdir: cfg.direction,
         nodesep: cfg.horizontalGap,
         ranksep: cfg.verticalGapWithLabel || cfg.verticalGap,
         marginx: 0,
@@ -174,9 +235,12 @@ export function layoutGraphDagre(nodes, edges, config) {
         });
     }
 
-    insertEdgesReversed(edges, g);
+    const backEdges = findBackEdges(nodes, edges);
+    const forwardEdges = backEdges.size > 0 ? edges.filter((e) => !backEdges.has(e.id)) : edges;
+
+    insertEdgesReversed(forwardEdges, g);
     dagre.layout(g);
-    compactDagreRanks(g, nodes, edges, cfg);
+    compactDagreRanks(g, nodes, forwardEdges, cfg);
 
     return nodes.map((node) => {
         const n = g.node(node.id);
@@ -191,3 +255,313 @@ export function layoutGraphDagre(nodes, edges, config) {
         };
     });
 }
+
+// ---------- Groups ----------
+
+// `id` itself or its ancestor group that is one of `memberIds`, else null
+function liftToLevel(id, memberIds, byId) {
+    let node = byId.get(id);
+    while (node) {
+        if (memberIds.has(node.id)) return node.id;
+        node = node.parentNode ? byId.get(node.parentNode) : null;
+    }
+    return null;
+}
+
+// Edges between the members of one level; an edge into or out of a group
+// is attached to the group at that level.
+function liftEdges(edges, memberIds, byId) {
+    const lifted = [];
+    for (const edge of edges) {
+        const source = liftToLevel(edge.source, memberIds, byId);
+        const target = liftToLevel(edge.target, memberIds, byId);
+        if (!source || !target || source === target) continue;
+        lifted.push(source === edge.source && target === edge.target ? edge : { ...edge, source, target });
+    }
+    return lifted;
+}
+
+// Shift a group's laid-out children to `groupPadding` from its top-left
+// corner and return the group size that fits them.
+function fitChildren(positioned, cfg) {
+    const minX = Math.min(...positioned.map((n) => n.position.x));
+    const minY = Math.min(...positioned.map((n) => n.position.y));
+    const maxX = Math.max(...positioned.map((n) => n.position.x + getNodeWidth(n, cfg)));
+    const maxY = Math.max(...positioned.map((n) => n.position.y + getNodeHeight(n, cfg)));
+    const pad = cfg.groupPadding;
+    return {
+        children: positioned.map((n) => ({
+            ...n,
+            position: { x: n.position.x - minX + pad, y: n.position.y - minY + pad },
+        })),
+        width: maxX - minX + 2 * pad,
+        height: maxY - minY + 2 * pad,
+    };
+}
+
+/**
+ * Lay out a graph with group nodes, bottom-up: each group's children are
+ * laid out on their own, the group is sized to fit them plus
+ * `groupPadding` (written to `data.width` / `data.height`), and the group
+ * is then laid out as one node among its siblings. Edges that cross a group
+ * border count as edges of the group at the outer level. Child positions
+ * are relative to their group, as React Flow expects.
+ */
+function layoutNestedDagre(nodes, edges, cfg) {
+    const byId = new Map(nodes.map((n) => [n.id, n]));
+    const membersOf = new Map();
+    for (const node of nodes) {
+        const parentId = node.parentNode && byId.has(node.parentNode) ? node.parentNode : null;
+        if (!membersOf.has(parentId)) membersOf.set(parentId, []);
+        membersOf.get(parentId).push(node);
+    }
+
+    const placed = new Map();
+    const sizes = new Map();
+    const layoutLevel = (parentId) => {
+        const members = membersOf.get(parentId).map((node) => {
+            if (!membersOf.has(node.id)) return node;
+            layoutLevel(node.id);
+            const size = sizes.get(node.id);
+            return { ...node, data: { ...node.data, width: size.width, height: size.height } };
+        });
+        const memberIds = new Set(members.map((n) => n.id));
+        let positioned = layoutFlatDagre(members, liftEdges(edges, memberIds, byId), cfg);
+        if (parentId !== null) {
+            const fitted = fitChildren(positioned, cfg);
+            sizes.set(parentId, { width: fitted.width, height: fitted.height });
+            positioned = fitted.children;
+        }
+        for (const n of positioned) placed.set(n.id, n);
+    };
+    layoutLevel(null);
+
+    return nodes.map((node) => placed.get(node.id) || node);
+}
+
+// ---------- Main layout function ----------
+
+/**
+ * Build a positioned node array using dagre.
+ *
+ * Uses a custom ranker (longestPathFromSource) so branch children at the
+ * same depth always share the same rank (same y-level), even when one
+ * branch grows deeper than its siblings.
+ *
+ * `config.direction` ("TB" | "LR" | "BT" | "RL") is dagre's rankdir; in
+ * the horizontal directions the vertical gaps separate ranks along x.
+ *
+ * Back edges (see findBackEdges) are left out of the dagre graph, so cyclic
+ * pipelines are ranked as if the loops were cut; EdgeRoutingProvider routes
+ * them around the outside of the graph.
+ *
+ * Nodes nested in a group node (React Flow `parentNode`) are laid out
+ * inside it, see layoutNestedDagre.
+ *
+ * With `config.lanes` set, the result is packed into swimlanes afterwards
+ * (see applySwimlanes): rank positions stay, each node moves into the band
+ * of its `data.lane`.
+ *
+ * Coordinate note:
+ *   dagre outputs node x/y as the node *centre*; React Flow expects *top-left*.
+ *   We subtract half the node dimensions when mapping back.
+ */
+export function layoutGraphDagre(nodes, edges, config) {
+    const cfg = { ...DEFAULTS, ...(config || {}) };
+    const ids = new Set(nodes.map((n) => n.id));
+    const nested = nodes.some((n) => n.parentNode && ids.has(n.parentNode));
+    const laidOut = nested ? layoutNestedDagre(nodes, edges, cfg) : layoutFlatDagre(nodes, edges, cfg);
+    return cfg.lanes ? applySwimlanes(laidOut, cfg) : laidOut;
+}
+
+// ---------- Incremental layout ----------
+
+// A node's box in flow coordinates: `along` grows downstream whichever way
+// the graph runs, `across` is the cross-flow coordinate.
+function toFlowBox(node, position, cfg) {
+    const horizontal = isHorizontalFlow(cfg.direction);
+    const reversed = cfg.direction === "BT" || cfg.direction === "RL";
+    const alongSize = horizontal ? getNodeWidth(node, cfg) : getNodeHeight(node, cfg);
+    const acrossSize = horizontal ? getNodeHeight(node, cfg) : getNodeWidth(node, cfg);
+    const along = horizontal ? position.x : position.y;
+    return {
+        along: reversed ? -(along + alongSize) : along,
+        alongSize,
+        across: horizontal ? position.y : position.x,
+        acrossSize,
+    };
+}
+
+function fromFlowBox(box, cfg) {
+    const reversed = cfg.direction === "BT" || cfg.direction === "RL";
+    const along = reversed ? -(box.along + box.alongSize) : box.along;
+    return isHorizontalFlow(cfg.direction) ? { x: along, y: box.across } : { x: box.across, y: along };
+}
+
+// Group entries into ranks by the centre of their box along the flow, by
+// default the fresh layout's box. Each entry keeps the fresh box and the
+// hinted one.
+function collectRanks(entries, boxOf = (e) => e.fresh) {
+    const centerOf = (e) => boxOf(e).along + boxOf(e).alongSize / 2;
+    const sorted = [...entries].sort((a, b) => centerOf(a) - centerOf(b));
+    const ranks = [];
+    let center = -Infinity;
+    for (const entry of sorted) {
+        const c = centerOf(entry);
+        if (c - center > 1) {
+            ranks.push([]);
+            center = c;
+        }
+        ranks[ranks.length - 1].push(entry);
+    }
+    return ranks;
+}
+
+// A hint only holds while its node stays in its rank: within each fresh
+// rank, nodes that came from another previous rank than most of the rank
+// (the upstream one on a tie) lose their hint and are placed like new ones.
+function dropMovedHints(ranks) {
+    const oldRank = new Map();
+    collectRanks(ranks.flat().filter((e) => e.hint), (e) => e.hint)
+        .forEach((rank, i) => { for (const e of rank) oldRank.set(e, i); });
+    for (const rank of ranks) {
+        const kept = mostCommonRank(rank.filter((e) => oldRank.has(e)).map((e) => oldRank.get(e)));
+        for (const e of rank) {
+            if (e.hint && oldRank.get(e) !== kept) e.hint = null;
+        }
+    }
+}
+
+// Most frequent value of `ranks`, the lowest one on a tie
+function mostCommonRank(ranks) {
+    const counts = new Map();
+    for (const r of ranks) counts.set(r, (counts.get(r) || 0) + 1);
+    let kept = null;
+    for (const [r, count] of counts) {
+        if (kept === null || count > counts.get(kept) || (count === counts.get(kept) && r < kept)) kept = r;
+    }
+    return kept;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Mean offset from fresh to hinted positions, used to place nodes that
+// have no hint and no hinted neighbour
+function meanHintOffset(entries) {
+    const hinted = entries.filter((e) => e.hint);
+    if (hinted.length === 0) return { along: 0, across: 0 };
+    let along = 0;
+    let across = 0;
+    for (const e of hinted) {
+        along += e.hint.along - e.fresh.along;
+        across += e.hint.across - e.fresh.across;
+    }
+    return { along: along / hinted.length, across: across / hinted.length };
+}
+
+// Each rank sits at one position along the flow, the median of where its
+// hinted members were, and its members keep the fresh layout's offsets
+// within the rank. A rank that would come closer to the previous one than
+// in the fresh layout is shifted downstream, other ranks stay put.
+function placeRanksAlong(ranks, offset) {
+    let prevEnd = null;
+    let prevFreshEnd = null;
+    for (const rank of ranks) {
+        const freshStart = Math.min(...rank.map((e) => e.fresh.along));
+        const freshEnd = Math.max(...rank.map((e) => e.fresh.along + e.fresh.alongSize));
+        const gap = prevFreshEnd === null ? 0 : freshStart - prevFreshEnd;
+        const hinted = rank.filter((e) => e.hint);
+        let base;
+        if (hinted.length > 0) base = median(hinted.map((e) => e.hint.along - (e.fresh.along - freshStart)));
+        else if (prevEnd === null) base = freshStart + offset.along;
+        else base = prevEnd + gap;
+        if (prevEnd !== null) base = Math.max(base, prevEnd + gap);
+        for (const e of rank) e.along = base + (e.fresh.along - freshStart);
+        prevEnd = base + (freshEnd - freshStart);
+        prevFreshEnd = freshEnd;
+    }
+}
+
+// Offset from fresh to hinted position of the hinted rank member nearest
+// to `i` in the fresh order
+function nearestHintOffset(freshOrder, i, fallback) {
+    for (let d = 1; d < freshOrder.length; d++) {
+        for (const j of [i - d, i + d]) {
+            const e = freshOrder[j];
+            if (e && e.hint) return e.hint.across - e.fresh.across;
+        }
+    }
+    return fallback;
+}
+
+// Within a rank, hinted nodes keep their cross-flow position and order; new
+// nodes go where the fresh layout puts them next to their hinted
+// neighbours. A sweep then pushes nodes apart only where they would overlap.
+function placeWithinRank(rank, offset, gap) {
+    const freshOrder = [...rank].sort((a, b) => a.fresh.across - b.fresh.across);
+    freshOrder.forEach((e, i) => {
+        e.across = e.hint
+            ? e.hint.across
+            : e.fresh.across + nearestHintOffset(freshOrder, i, offset.across);
+    });
+    const order = [...rank].sort((a, b) => a.across - b.across || Number(!a.hint) - Number(!b.hint));
+    for (let i = 1; i < order.length; i++) {
+        const prev = order[i - 1];
+        order[i].across = Math.max(order[i].across, prev.across + prev.fresh.acrossSize + gap);
+    }
+}
+
+/**
+ * Incremental layout: like layoutGraphDagre, but nodes stay close to their
+ * positions in `previousNodes`.
+ *
+ * A fresh dagre run decides the ranks. Nodes found in `previousNodes` keep
+ * their old position as a hint, unless the fresh layout moved them to
+ * another rank than their old rank-mates. Each rank is placed at the median
+ * of its members' old positions along the flow and only pushed downstream
+ * when a new rank needs the room; within a rank hinted nodes keep their
+ * cross-flow position and order. New nodes are
+ * placed where the fresh layout puts them relative to their hinted
+ * neighbours, and nodes are pushed aside only where they would overlap.
+ *
+ * Only top-level nodes are placed from hints; group children take the fresh
+ * layout's positions inside their group.
+ *
+ * @param {Array} nodes - React Flow nodes to lay out
+ * @param {Array} edges - React Flow edges
+ * @param {Array} previousNodes - nodes with the positions to keep
+ * @param {Object} [config] - optional config overrides
+ * @returns {Array} positioned nodes
+ */
+export function layoutGraphIncremental(nodes, edges, previousNodes, config) {
+    const cfg = { ...DEFAULTS, ...(config || {}) };
+    const fresh = layoutGraphDagre(nodes, edges, { ...cfg, lanes: null });
+    const ids = new Set(nodes.map((n) => n.id));
+    const hints = new Map((previousNodes || []).filter((n) => n.position).map((n) => [n.id, n.position]));
+
+    const entries = fresh
+        .filter((n) => !(n.parentNode && ids.has(n.parentNode)))
+        .map((n) => ({
+            node: n,
+            fresh: toFlowBox(n, n.position, cfg),
+            hint: hints.has(n.id) ? toFlowBox(n, hints.get(n.id), cfg) : null,
+        }));
+    if (entries.length === 0) return fresh;
+
+    const ranks = collectRanks(entries);
+    dropMovedHints(ranks);
+    const offset = meanHintOffset(entries);
+    placeRanksAlong(ranks, offset);
+    for (const rank of ranks) placeWithinRank(rank, offset, cfg.horizontalGap);
+
+    const placed = new Map(entries.map((e) => [
+        e.node.id,
+        { ...e.node, position: fromFlowBox({ ...e.fresh, along: e.along, across: e.across }, cfg) },
+    ]));
+    const result = fresh.map((n) => placed.get(n.id) || n);
+    return cfg.lanes ? applySwimlanes(result, cfg) : result;
+}
@@ -21,24 +21,81 @@ export function resolveNodeHeight(node, fallback) {
     return fallback;
 }
 
+// Flow direction helpers — which node sides take incoming / outgoing edges
+const FLOW_SIDES = {
+    TB: { input: "top", output: "bottom" },
+    BT: { input: "bottom", output: "top" },
+    LR: { input: "left", output: "right" },
+    RL: { input: "right", output: "left" },
+};
+
+export function resolveFlowSides(direction) {
+    return FLOW_SIDES[direction] || FLOW_SIDES.TB;
+}
+
+export function isHorizontalFlow(direction) {
+    return direction === "LR" || direction === "RL";
+}
+
+// Self-loops go around a side across the flow, never the input / output
+// sides: `selfLoopSide` 'left' / 'right' become 'top' / 'bottom' in LR/RL
+// and the other way round in TB/BT.
+const ACROSS_VERTICAL = { left: "left", right: "right", top: "left", bottom: "right" };
+const ACROSS_HORIZONTAL = { left: "top", right: "bottom", top: "top", bottom: "bottom" };
+
+export function resolveSelfLoopSide(config) {
+    const across = isHorizontalFlow(config.direction) ? ACROSS_HORIZONTAL : ACROSS_VERTICAL;
+    return across[config.selfLoopSide] || across.right;
+}
+
 export const DEFAULTS = {
+    direction: "TB",
     padding: 20,
     sourceStubLength: 20,
     targetStubLength: 20,
     bendPenalty: 100,
     earlyBendBias: 0.01,
+    routingAlgorithm: "dijkstra",
+    crossingPenalty: 0,
+    overlapPenalty: 0,
+    allowedSourceSides: null,
+    allowedTargetSides: null,
     nodeWidth: 80,
     nodeHeight: 80,
     edgeStrokeColor: "#555",
     edgeStrokeWidth: 1.5,
     edgeSeparation: 5,
     bendRadius: 8,
+    lineJumps: "none",
+    lineJumpSize: 5,
+    busRouting: false,
+    busJunctionRadius: 3,
+    backEdgeRouting: true,
+    backEdgeSide: "right",
+    backEdgeLaneGap: 16,
+    parallelEdgeSpacing: 12,
+    selfLoops: false,
+    selfLoopSide: "right",
+    selfLoopGap: 12,
     horizontalGap: 48,
     verticalGap: 80,
     verticalGapWithLabel: 116,
     verticalGapMerge: 40,
+    groupPadding: 40,
+    incrementalLayout: false,
+    lanes: null,
+    lanePadding: 40,
+    laneHeaderSize: 32,
+    laneBoundaryPenalty: 2,
     perBranchCollapse: false,
     collapseAnimation: true,
+    collapseStatusField: "status",
+    collapseStatusReducer: null,
+    layoutAnimation: true,
+    layoutAnimationDuration: 300,
+    layoutAnimationEdges: "fade",
+    historyLimit: 100,
+    historyKeyBindings: true,
     edgeLabelFontSize: 11,
     edgeLabelOffset: 4,
     edgeLabelBackground: "#ffffff",
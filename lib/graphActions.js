@@ -1,5 +1,5 @@
-import { getVisibleGraph } from "./layoutEngine.js";
-import { layoutGraphDagre } from "./dagreLayout.js";
+import { getVisibleGraph, getBranchDepths } from "./layoutEngine.js";
+import { layoutGraphDagre, layoutGraphIncremental } from "./dagreLayout.js";
 import {
     nextOutputIdx,
     normalizeEdge,
@@ -7,24 +7,217 @@ import {
     findOwningBranch,
     placeNewNodes,
     reindexAllHandles,
+    isPinned,
+    flowAroundPinned,
+    layoutDisplacement,
+    refitGroups,
 } from "./graphUtils.js";
+import { clampToLanes } from "./swimlanes.js";
 
 /**
  * Toggle a node's collapsed state and re-layout visible graph.
+ * `config` (optional) is passed to the layout — gaps, node size, direction.
+ * Pinned nodes keep their position.
  * Returns { nodes, edges }.
  */
-export function toggleCollapse(nodes, edges, nodeId, collapsed) {
+export function toggleCollapse(nodes, edges, nodeId, collapsed, config) {
     const updatedNodes = nodes.map((n) =>
         n.id === nodeId ? { ...n, data: { ...n.data, collapsed } } : n,
     );
-    const { visibleNodes: vNodes, visibleEdges: vEdges } = getVisibleGraph(updatedNodes, edges);
-    const positioned = layoutGraphDagre(vNodes, vEdges);
-    const posMap = new Map(positioned.map((n) => [n.id, n.position]));
-    const finalNodes = updatedNodes.map((n) => {
-        const pos = posMap.get(n.id);
-        return pos ? { ...n, position: pos } : n;
+    return { nodes: layoutVisibleNodes(updatedNodes, edges, config), edges };
+}
+
+// Set `data.collapsed` on every branch node (see getBranchDepths) to
+// `collapsedAt(depth)` and expand collapsed branch paths, then re-layout
+// once. Returns null if nothing changes.
+function setBranchesCollapsed(nodes, edges, collapsedAt, config) {
+    const depths = getBranchDepths(nodes, edges);
+    let changed = false;
+    const updatedNodes = nodes.map((n) => {
+        const collapsed = depths.has(n.id) && collapsedAt(depths.get(n.id));
+        if (!!(n.data && n.data.collapsed) === collapsed) return n;
+        changed = true;
+        return { ...n, data: { ...n.data, collapsed } };
+    });
+    if (!changed) return null;
+    return { nodes: layoutVisibleNodes(updatedNodes, edges, config), edges };
+}
+
+/**
+ * Collapse every branch node in one state change and one layout pass.
+ * Returns { nodes, edges }, or null if all are collapsed already.
+ */
+export function collapseAll(nodes, edges, config) {
+    return setBranchesCollapsed(nodes, edges, () => true, config);
+}
+
+/**
+ * Expand every collapsed branch and branch path in one state change and
+ * one layout pass. Collapsed subgraphs stay collapsed (see expandSubgraph).
+ * Returns { nodes, edges }, or null if nothing is collapsed.
+ */
+export function expandAll(nodes, edges, config) {
+    return setBranchesCollapsed(nodes, edges, () => false, config);
+}
+
+/**
+ * Show branches down to nesting depth `depth` (see getBranchDepths) and
+ * collapse the ones below: depth 0 collapses the outermost branches, 1 shows
+ * them but collapses the branches inside them, and so on. Collapsed branch
+ * paths are expanded. One state change and one layout pass.
+ * Returns { nodes, edges }, or null if nothing changes.
+ */
+export function collapseToDepth(nodes, edges, depth, config) {
+    return setBranchesCollapsed(nodes, edges, (d) => d >= depth, config);
+}
+
+// Lay out the visible graph and map positions back to all nodes (hidden
+// and pinned nodes keep theirs)
+function layoutVisibleNodes(nodes, edges, config) {
+    const { visibleNodes: vNodes, visibleEdges: vEdges } = getVisibleGraph(nodes, edges);
+    const positioned = layoutGraphDagre(vNodes, vEdges, config);
+    const laidOut = new Map(positioned.map((n) => [n.id, n]));
+    const finalNodes = nodes.map((n) => {
+        const node = laidOutNodeFor(laidOut, n);
+        return node ? placeLaidOutNode(n, node.position, node) : n;
+    });
+    return clearPinnedNodes(finalNodes, positioned, config);
+}
+
+// ---------------------------------------------------------------------------
+// Subgraph collapse helpers (internal)
+// ---------------------------------------------------------------------------
+
+function subgraphOf(node) {
+    return (node && node.data && node.data.collapsedSubgraph) || null;
+}
+
+// Selected ids, with placeholder ids replaced by their subgraph's nodes
+function expandSelection(nodes, nodeIds) {
+    const ids = new Set(nodeIds);
+    for (const n of nodes) {
+        const subgraph = subgraphOf(n);
+        if (!subgraph || !ids.has(subgraph.id)) continue;
+        ids.delete(subgraph.id);
+        ids.add(n.id);
+        for (const id of subgraph.nodeIds) ids.add(id);
+    }
+    return ids;
+}
+
+function isConnectedSet(ids, innerEdges) {
+    const neighbours = new Map(Array.from(ids, (id) => [id, []]));
+    for (const e of innerEdges) {
+        neighbours.get(e.source).push(e.target);
+        neighbours.get(e.target).push(e.source);
+    }
+    const start = ids.values().next().value;
+    const seen = new Set([start]);
+    const stack = [start];
+    while (stack.length > 0) {
+        for (const next of neighbours.get(stack.pop())) {
+            if (seen.has(next)) continue;
+            seen.add(next);
+            stack.push(next);
+        }
+    }
+    return seen.size === ids.size;
+}
+
+// Members edges lead into from the rest of the graph, nodes edges lead out
+// to, and the edges inside
+function subgraphBoundary(edges, ids) {
+    const entries = new Set();
+    const exits = new Set();
+    const inner = [];
+    for (const e of edges) {
+        const fromInside = ids.has(e.source);
+        const toInside = ids.has(e.target);
+        if (fromInside && toInside) inner.push(e);
+        else if (toInside) entries.add(e.target);
+        else if (fromInside) exits.add(e.target);
+    }
+    return { entries, exits, inner };
+}
+
+// Entry node of `ids` if they form a connected subgraph with one entry (all
+// edges in lead to one member) and one exit (all edges out lead to one node),
+// else null. Members must share a parent group and not be groups.
+function findSubgraphEntry(nodes, edges, ids) {
+    const members = nodes.filter((n) => ids.has(n.id));
+    if (members.length < 2 || members.length !== ids.size) return null;
+    const parent = members[0].parentNode || null;
+    if (members.some((n) => (n.parentNode || null) !== parent)) return null;
+    if (nodes.some((n) => n.parentNode && ids.has(n.parentNode))) return null;
+
+    const { entries, exits, inner } = subgraphBoundary(edges, ids);
+    if (entries.size > 1 || exits.size > 1 || !isConnectedSet(ids, inner)) return null;
+    if (entries.size === 1) return entries.values().next().value;
+    // Nothing leads in: the entry is the one member nothing inside leads to
+    const targets = new Set(inner.map((e) => e.target));
+    const sources = members.filter((n) => !targets.has(n.id));
+    return sources.length === 1 ? sources[0].id : null;
+}
+
+/**
+ * Collapse a connected set of nodes with a single entry and a single exit
+ * into one placeholder node, e.g. the current selection. Edges into the set
+ * lead to the placeholder and edges out of it leave from there (see
+ * getVisibleGraph).
+ *
+ * The set is stored on its entry node as `data.collapsedSubgraph =
+ * { id, nodeIds, label }`, so it survives a save and reload. `id` is the
+ * placeholder's node id. A placeholder id in `nodeIds` stands for its whole
+ * subgraph, which stays collapsed inside the new one — unless both share an
+ * entry node, which holds only the new one.
+ *
+ * Returns { nodes, edges, placeholderId }, or null if the nodes do not form
+ * such a subgraph.
+ */
+export function collapseSubgraph(nodes, edges, nodeIds, config, label) {
+    const ids = expandSelection(nodes, nodeIds);
+    const entryId = findSubgraphEntry(nodes, edges, ids);
+    if (!entryId) return null;
+
+    const subgraph = { id: `subgraph-${entryId}`, nodeIds: Array.from(ids) };
+    if (label) subgraph.label = label;
+    const updatedNodes = nodes.map((n) =>
+        n.id === entryId ? { ...n, data: { ...n.data, collapsedSubgraph: subgraph } } : n,
+    );
+    return { nodes: layoutVisibleNodes(updatedNodes, edges, config), edges, placeholderId: subgraph.id };
+}
+
+/**
+ * Expand the collapsed subgraph shown as placeholder `placeholderId` (see
+ * collapseSubgraph) and re-layout. Subgraphs nested in it stay collapsed.
+ * Returns { nodes, edges }, or null if there is no such subgraph.
+ */
+export function expandSubgraph(nodes, edges, placeholderId, config) {
+    const entry = nodes.find((n) => {
+        const subgraph = subgraphOf(n);
+        return subgraph && subgraph.id === placeholderId;
+    });
+    if (!entry) return null;
+    const updatedNodes = nodes.map((n) => {
+        if (n !== entry) return n;
+        const data = { ...n.data };
+        delete data.collapsedSubgraph;
+        return { ...n, data };
     });
-    return { nodes: finalNodes, edges };
+    return { nodes: layoutVisibleNodes(updatedNodes, edges, config), edges };
+}
+
+/**
+ * Pin or unpin a node (`data.pinned`). Layout, collapse and node placement
+ * leave pinned nodes where they are and move the other nodes around them.
+ * Returns { nodes, edges }, or null if the node does not exist.
+ */
+export function togglePin(nodes, edges, nodeId, pinned) {
+    if (!nodes.some((n) => n.id === nodeId)) return null;
+    return {
+        nodes: nodes.map((n) => (n.id === nodeId ? { ...n, data: { ...n.data, pinned: !!pinned } } : n)),
+        edges,
+    };
 }
 
 // ---------------------------------------------------------------------------
@@ -116,12 +309,71 @@ function cascadeSiblingShifts(existingSiblingIds, posMap, nodeMap, adjMap, newNo
     }
 }
 
+// `node`, or its enclosing group that sits in group `groupId` (null: top
+// level), so a child inside another group is laid out as that whole group
+function liftToGroup(node, groupId, nodeMap) {
+    let current = node;
+    while (current && (current.parentNode || null) !== groupId) {
+        current = current.parentNode ? nodeMap.get(current.parentNode) : null;
+    }
+    return current || null;
+}
+
+// Edges from `parentId` to its children, each re-targeted at the child's
+// enclosing group in group `groupId`; one edge per lifted child
+function liftedChildEdges(parentId, groupId, edges, nodeMap) {
+    const lifted = [];
+    for (const e of edges) {
+        if (e.source !== parentId) continue;
+        const sibling = liftToGroup(nodeMap.get(e.target), groupId, nodeMap);
+        if (!sibling || sibling.id === parentId || lifted.some((l) => l.target === sibling.id)) continue;
+        lifted.push(sibling.id === e.target ? e : { ...e, target: sibling.id });
+    }
+    return lifted;
+}
+
+// source -> targets. An edge leaving a group also counts from that group,
+// so moving the group moves what is downstream of its children.
+function buildExitAdjacency(edges, nodeMap) {
+    const adjMap = new Map();
+    const link = (from, to) => {
+        if (!adjMap.has(from)) adjMap.set(from, []);
+        adjMap.get(from).push(to);
+    };
+    for (const e of edges) {
+        link(e.source, e.target);
+        const target = nodeMap.get(e.target);
+        let group = nodeMap.get(e.source);
+        group = group && group.parentNode ? nodeMap.get(group.parentNode) : null;
+        while (group && !(target && liftToGroup(target, group.id, nodeMap))) {
+            link(group.id, e.target);
+            group = group.parentNode ? nodeMap.get(group.parentNode) : null;
+        }
+    }
+    return adjMap;
+}
+
+// A new node joins the group its parent is in, unless the factory set a
+// `parentNode` of its own
+function joinParentGroup(node, parent) {
+    if (!parent.parentNode || node.parentNode !== undefined) return node;
+    const joined = { ...node, parentNode: parent.parentNode };
+    if (parent.extent && node.extent === undefined) joined.extent = parent.extent;
+    return joined;
+}
+
 /**
  * Add child node(s) to a parent using a factory function.
  * createNode: (parentId, type, context) => { nodes, edges } | null
+ * `config` (optional) is passed to the mini layout; in swimlane mode the
+ * nodes it moves are then kept inside their lanes. Pinned nodes are never
+ * moved.
+ * Inside a group, new nodes join the parent's group and the group is
+ * refitted around its children afterwards. The mini layout works in the
+ * parent's frame: a child in another group takes part as that group.
  * Returns { nodes, edges } or null.
  */
-export function addNode(nodes, edges, parentId, type, createNode) {
+export function addNode(nodes, edges, parentId, type, createNode, config) {
     const parentNode = nodes.find((n) => n.id === parentId);
     if (!parentNode) return null;
 
@@ -153,8 +405,9 @@ export function addNode(nodes, edges, parentId, type, createNode) {
     const effectiveParent = baseNodes.find((n) => n.id === parentId);
 
     // Ensure new nodes have position
+    const groupId = effectiveParent.parentNode || null;
     const newNodes = trulyNewNodes.map((n) => ({
-        ...n,
+        ...joinParentGroup(n, effectiveParent),
         position: n.position || { x: 0, y: 0 },
     }));
 
@@ -165,25 +418,24 @@ export function addNode(nodes, edges, parentId, type, createNode) {
     // Seed from existing edge count so new edges appear after existing siblings.
     const orderedNewEdges = stampEdgeOrder(newEdges, baseEdges);
 
-    // Collect existing direct children of parent
-    const existingSiblingIds = baseEdges
-        .filter((e) => e.source === parentId)
-        .map((e) => e.target);
-    const existingSiblings = baseNodes.filter((n) => existingSiblingIds.includes(n.id));
+    // Collect existing direct children of parent, lifted into the parent's group
+    const nodeMap = new Map(baseNodes.map((n) => [n.id, n]));
+    const siblingEdges = liftedChildEdges(parentId, groupId, baseEdges, nodeMap);
+    const existingSiblingIds = siblingEdges.map((e) => e.target);
+    const existingSiblings = existingSiblingIds.map((id) => nodeMap.get(id));
 
     // Mini graph: parent + existing siblings + new nodes
     const miniNodes = [effectiveParent, ...existingSiblings, ...newNodes];
     const newNodeIds = new Set(newNodes.map((n) => n.id));
-    const siblingIds = new Set(existingSiblingIds);
     const miniEdges = [
-        ...baseEdges.filter((e) => e.source === parentId && siblingIds.has(e.target)),
+        ...siblingEdges,
         ...orderedNewEdges.filter((e) => {
             const miniIds = new Set(miniNodes.map((n) => n.id));
             return miniIds.has(e.source) && miniIds.has(e.target);
         }),
     ];
 
-    const mini = layoutGraphDagre(miniNodes, miniEdges);
+    const mini = layoutGraphDagre(miniNodes, miniEdges, { ...config, lanes: null });
     const miniParent = mini.find((n) => n.id === parentId);
     if (!miniParent) return null;
 
@@ -197,14 +449,16 @@ export function addNode(nodes, edges, parentId, type, createNode) {
     }
 
     // Build adjacency map for cascading position deltas to descendants
-    const adjMap = new Map();
-    for (const e of baseEdges) {
-        if (!adjMap.has(e.source)) adjMap.set(e.source, []);
-        adjMap.get(e.source).push(e.target);
-    }
+    const adjMap = buildExitAdjacency(baseEdges, nodeMap);
+
+    // Pinned nodes stay put, and so do the subtrees of pinned siblings; new
+    // nodes that land on a pinned node are moved past it
+    const pinnedIds = new Set(baseNodes.filter(isPinned).map((n) => n.id));
+    const dropPinned = () => pinnedIds.forEach((id) => posMap.delete(id));
+    dropPinned();
 
-    const nodeMap = new Map(baseNodes.map((n) => [n.id, n]));
     cascadeSiblingShifts(existingSiblingIds, posMap, nodeMap, adjMap, newNodeIds);
+    dropPinned();
 
     const allNextEdges = [...baseEdges, ...newEdges];
     const updatedNodes = baseNodes.map((n) => {
@@ -216,16 +470,22 @@ export function addNode(nodes, edges, parentId, type, createNode) {
         position: posMap.get(n.id) || n.position,
     }));
 
-    const finalNodes = [...updatedNodes, ...positionedNew];
-    return { nodes: finalNodes, edges: allNextEdges };
+    const moved = new Set(posMap.keys());
+    const fittedNodes = groupId ? refitGroups([...updatedNodes, ...positionedNew], groupId, config) : [...updatedNodes, ...positionedNew];
+    const finalNodes = flowAroundPinned(fittedNodes, moved, pinnedIds, config);
+    return {
+        nodes: config && config.lanes ? clampToLanes(finalNodes, moved, config) : finalNodes,
+        edges: allNextEdges,
+    };
 }
 
 /**
  * Insert node(s) inline on an edge using a factory function.
  * createNodeInline: (edgeId, sourceId, targetId, type, context) => { nodes, edges } | null
+ * `config` (optional) is passed to the mini layout.
  * Returns { nodes, edges } or null.
  */
-export function addNodeInline(nodes, edges, edgeId, type, createNodeInline) {
+export function addNodeInline(nodes, edges, edgeId, type, createNodeInline, config) {
     const edge = edges.find((e) => e.id === edgeId);
     if (!edge) return null;
 
@@ -263,7 +523,7 @@ export function addNodeInline(nodes, edges, edgeId, type, createNodeInline) {
     const orderedNewEdges = stampEdgeOrder(newEdges, baseEdges);
 
     const allFinalEdges = [...baseEdges, ...newEdges];
-    const finalNodes = placeNewNodes(sourceId, effectiveParent, baseNodes, newNodes, orderedNewEdges, baseEdges);
+    const finalNodes = placeNewNodes(sourceId, effectiveParent, baseNodes, newNodes, orderedNewEdges, baseEdges, config);
     return { nodes: finalNodes, edges: allFinalEdges };
 }
 
@@ -311,48 +571,131 @@ export function deleteEdge(nodes, edges, edgeId) {
 }
 
 /**
- * Re-layout all nodes using dagre.
- * Returns { nodes, edges }.
+ * Set an edge's manual bend points (edge.data.waypoints), which the router
+ * honours as required via-points. Passing null or an empty array clears
+ * them and restores the automatic route.
+ * Returns { nodes, edges } or null.
  */
-export function layoutAll(nodes, edges) {
-    // Reindex handles before layout so dagre gets correct edge ordering
-    // (new edges may not have sourceHandle assigned yet)
-    const indexedEdges = reindexAllHandles(edges);
-    const { visibleNodes: vNodes, visibleEdges: vEdges } = getVisibleGraph(nodes, indexedEdges);
+export function setEdgeWaypoints(nodes, edges, edgeId, waypoints) {
+    const edge = edges.find((e) => e.id === edgeId);
+    if (!edge) return null;
 
-    // Remember the top-left origin of the current graph
-    let minX = Infinity;
-    let minY = Infinity;
-    for (const n of vNodes) {
-        if (n.position && n.position.x < minX) minX = n.position.x;
-        if (n.position && n.position.y < minY) minY = n.position.y;
+    const data = { ...(edge.data || {}) };
+    if (waypoints && waypoints.length > 0) {
+        data.waypoints = waypoints.map((p) => ({ x: p.x, y: p.y }));
+    } else {
+        delete data.waypoints;
     }
+    return {
+        nodes,
+        edges: edges.map((e) => (e.id === edgeId ? { ...e, data } : e)),
+    };
+}
 
-    const positioned = layoutGraphDagre(vNodes, vEdges);
+// Move `node` to `position`, unless it is pinned. A group node also takes
+// the size the layout fitted it to (see layoutGraphDagre).
+function placeLaidOutNode(node, position, laidOut) {
+    const target = isPinned(node) ? node.position : position;
+    const sized = laidOut.id === node.id && laidOut.data && node.data
+        && (laidOut.data.width !== node.data.width || laidOut.data.height !== node.data.height);
+    if (!sized) return { ...node, position: target };
+    return { ...node, position: target, data: { ...node.data, width: laidOut.data.width, height: laidOut.data.height } };
+}
+
+// Laid-out node for `node`: itself, or the placeholder of the collapsed
+// subgraph it is the entry of, whose place it takes
+function laidOutNodeFor(laidOut, node) {
+    const subgraph = node.data && node.data.collapsedSubgraph;
+    return laidOut.get(node.id) || (subgraph ? laidOut.get(subgraph.id) : undefined);
+}
 
-    // Find the top-left of dagre output
-    let dagreMinX = Infinity;
-    let dagreMinY = Infinity;
-    for (const n of positioned) {
-        if (n.position.x < dagreMinX) dagreMinX = n.position.x;
-        if (n.position.y < dagreMinY) dagreMinY = n.position.y;
+// After a layout of `laidOut`, move its unpinned nodes off its pinned ones
+function clearPinnedNodes(nodes, laidOut, config) {
+    const pinned = new Set();
+    const movable = new Set();
+    for (const n of laidOut) {
+        if (isPinned(n)) pinned.add(n.id);
+        else movable.add(n.id);
     }
+    if (pinned.size === 0) return nodes;
+    return flowAroundPinned(nodes, movable, pinned, config);
+}
+
+// Top-left corner of the nodes that are not inside a group
+function topLevelOrigin(nodes) {
+    const ids = new Set(nodes.map((n) => n.id));
+    let x = Infinity;
+    let y = Infinity;
+    for (const n of nodes) {
+        if (!n.position || isNestedNode(n, ids)) continue;
+        if (n.position.x < x) x = n.position.x;
+        if (n.position.y < y) y = n.position.y;
+    }
+    return { x, y };
+}
 
-    // Shift dagre output so the graph stays at its original origin
+function isNestedNode(node, nodeIds) {
+    return !!node.parentNode && nodeIds.has(node.parentNode);
+}
+
+// Shift that keeps a fresh layout at the graph's current top-left origin,
+// at least LAYOUT_PADDING from the canvas edge so labels remain visible
+function originShift(vNodes, positioned) {
     const LAYOUT_PADDING = 20;
-    let dx = (isFinite(minX) && isFinite(dagreMinX)) ? minX - dagreMinX : 0;
-    let dy = (isFinite(minY) && isFinite(dagreMinY)) ? minY - dagreMinY : 0;
+    const origin = topLevelOrigin(vNodes);
+    const dagreOrigin = topLevelOrigin(positioned);
+    let dx = (isFinite(origin.x) && isFinite(dagreOrigin.x)) ? origin.x - dagreOrigin.x : 0;
+    let dy = (isFinite(origin.y) && isFinite(dagreOrigin.y)) ? origin.y - dagreOrigin.y : 0;
+    if (dagreOrigin.x + dx < LAYOUT_PADDING) dx = LAYOUT_PADDING - dagreOrigin.x;
+    if (dagreOrigin.y + dy < LAYOUT_PADDING) dy = LAYOUT_PADDING - dagreOrigin.y;
+    return { dx, dy };
+}
 
-    // Ensure minimum padding from left/top so labels remain visible
-    if (dagreMinX + dx < LAYOUT_PADDING) dx = LAYOUT_PADDING - dagreMinX;
-    if (dagreMinY + dy < LAYOUT_PADDING) dy = LAYOUT_PADDING - dagreMinY;
+/**
+ * Re-layout all nodes using dagre.
+ * `config` (optional) is passed to the layout — gaps, node size, direction.
+ * Pinned nodes keep their position and the rest of the graph flows around
+ * them (see flowAroundPinned).
+ *
+ * With `config.incrementalLayout`, positions in `previousNodes` (default:
+ * `nodes`) are hints: existing nodes keep their rank order and cross-flow
+ * order and move only to make room (see layoutGraphIncremental). Nodes
+ * missing from `previousNodes` count as new.
+ *
+ * Returns { nodes, edges, displacement } — `displacement` is the total
+ * distance the previous nodes moved (see layoutDisplacement).
+ */
+export function layoutAll(nodes, edges, config, previousNodes) {
+    // Reindex handles before layout so dagre gets correct edge ordering
+    // (new edges may not have sourceHandle assigned yet)
+    const indexedEdges = reindexAllHandles(edges);
+    const { visibleNodes: vNodes, visibleEdges: vEdges } = getVisibleGraph(nodes, indexedEdges);
+    const before = previousNodes || nodes;
+
+    // A fresh layout is shifted back to the graph's original origin; an
+    // incremental one is already in place
+    let positioned;
+    let shift = { dx: 0, dy: 0 };
+    if (config && config.incrementalLayout) {
+        positioned = layoutGraphIncremental(vNodes, vEdges, before, config);
+    } else {
+        positioned = layoutGraphDagre(vNodes, vEdges, config);
+        shift = originShift(vNodes, positioned);
+    }
 
-    const posMap = new Map(positioned.map((n) => [n.id, { x: n.position.x + dx, y: n.position.y + dy }]));
+    // Group children are positioned relative to their group and move with it
+    const positionedIds = new Set(positioned.map((n) => n.id));
+    const laidOut = new Map(positioned.map((n) => [n.id, n]));
     const finalNodes = nodes.map((n) => {
-        const pos = posMap.get(n.id);
-        return pos ? { ...n, position: pos } : n;
+        const node = laidOutNodeFor(laidOut, n);
+        if (!node) return n;
+        const pos = isNestedNode(node, positionedIds)
+            ? node.position
+            : { x: node.position.x + shift.dx, y: node.position.y + shift.dy };
+        return placeLaidOutNode(n, pos, node);
     });
-    return { nodes: finalNodes, edges: indexedEdges };
+    const settled = clearPinnedNodes(finalNodes, positioned, config);
+    return { nodes: settled, edges: indexedEdges, displacement: layoutDisplacement(before, settled) };
 }
 
 // ---------------------------------------------------------------------------
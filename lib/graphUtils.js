@@ -1,6 +1,7 @@
 import { MarkerType } from "reactflow";
 import { layoutGraphDagre } from "./dagreLayout.js";
-import { DEFAULTS } from "./defaults.js";
+import { DEFAULTS, isHorizontalFlow } from "./defaults.js";
+import { clampToLanes } from "./swimlanes.js";
 
 /**
  * Remove dangling edges (edges whose source or target node no longer exists).
@@ -214,24 +215,182 @@ export function findMergeNode(branchId, nodes, edges) {
     return mergeId;
 }
 
+// Extent of a node along the flow axis, measured in flow order — `end` is
+// always further downstream than `start`, whichever way the graph runs.
+function flowSpan(node, cfg) {
+    const horizontal = isHorizontalFlow(cfg.direction);
+    const pos = horizontal ? node.position.x : node.position.y;
+    const dataSize = node.data && (horizontal ? node.data.width : node.data.height);
+    let size = dataSize;
+    if (size == null) size = horizontal ? cfg.nodeWidth : cfg.nodeHeight;
+    const reversed = cfg.direction === "BT" || cfg.direction === "RL";
+    return reversed ? { start: -(pos + size), end: -pos } : { start: pos, end: pos + size };
+}
+
+function shiftDownstream(position, shift, direction) {
+    const delta = direction === "BT" || direction === "RL" ? -shift : shift;
+    return isHorizontalFlow(direction)
+        ? { x: position.x + delta, y: position.y }
+        : { x: position.x, y: position.y + delta };
+}
+
+// Extent of a node across the flow axis
+function crossSpan(node, cfg) {
+    const horizontal = isHorizontalFlow(cfg.direction);
+    const pos = horizontal ? node.position.y : node.position.x;
+    const dataSize = node.data && (horizontal ? node.data.height : node.data.width);
+    let size = dataSize;
+    if (size == null) size = horizontal ? cfg.nodeHeight : cfg.nodeWidth;
+    return { start: pos, end: pos + size };
+}
+
 /**
- * Position new nodes below a parent node using a mini dagre layout, then shift
- * all downstream nodes down to make room.
+ * Total distance, in px, that the nodes of `before` moved to their position
+ * in `after`. Nodes missing from either side are ignored. Use it to compare
+ * how much a layout disturbed the graph.
  */
-export function placeNewNodes(parentId, parentNode, updatedNodes, newNodes, newEdges, updatedEdges) {
+export function layoutDisplacement(before, after) {
+    const previous = new Map(before.filter((n) => n.position).map((n) => [n.id, n.position]));
+    let total = 0;
+    for (const n of after) {
+        const p = previous.get(n.id);
+        if (!p || !n.position) continue;
+        total += Math.hypot(n.position.x - p.x, n.position.y - p.y);
+    }
+    return total;
+}
+
+/**
+ * Whether a node is pinned (`data.pinned`): layout and node placement leave
+ * its position alone.
+ */
+export function isPinned(node) {
+    return !!(node && node.data && node.data.pinned);
+}
+
+/**
+ * Move nodes off the pinned nodes they overlap after a layout. Pinned nodes
+ * (ids in `pinned`) are visited in flow order; when movable nodes (ids in
+ * `movable`) come within half a layout gap of one, every movable node from
+ * the first of them onwards is shifted downstream past it, so the layout
+ * keeps its ranks and flows around the pinned node. Only top-level nodes
+ * take part; group children move with their group.
+ */
+export function flowAroundPinned(nodes, movable, pinned, config) {
+    const cfg = { ...DEFAULTS, ...(config || {}) };
+    const ids = new Set(nodes.map((n) => n.id));
+    const topLevel = (n) => n.position && !(n.parentNode && ids.has(n.parentNode));
+    const pins = nodes
+        .filter((n) => pinned.has(n.id) && topLevel(n))
+        .sort((a, b) => flowSpan(a, cfg).start - flowSpan(b, cfg).start);
+    const alongGap = cfg.verticalGap / 2;
+    const acrossGap = cfg.horizontalGap / 2;
+
+    let result = nodes;
+    for (const pin of pins) {
+        const along = flowSpan(pin, cfg);
+        const across = crossSpan(pin, cfg);
+        const blocking = result.filter((n) => {
+            if (!movable.has(n.id) || !topLevel(n)) return false;
+            const a = flowSpan(n, cfg);
+            const c = crossSpan(n, cfg);
+            return a.start < along.end + alongGap && a.end > along.start - alongGap
+                && c.start < across.end + acrossGap && c.end > across.start - acrossGap;
+        });
+        if (blocking.length === 0) continue;
+        const from = Math.min(...blocking.map((n) => flowSpan(n, cfg).start));
+        const shift = along.end + cfg.verticalGap - from;
+        result = result.map((n) =>
+            movable.has(n.id) && topLevel(n) && flowSpan(n, cfg).start >= from
+                ? { ...n, position: shiftDownstream(n.position, shift, cfg.direction) }
+                : n,
+        );
+    }
+    return result;
+}
+
+// Bounding box of a group's children, relative to the group
+function childBounds(children, cfg) {
+    const width = (n) => (n.data && n.data.width != null ? n.data.width : cfg.nodeWidth);
+    const height = (n) => (n.data && n.data.height != null ? n.data.height : cfg.nodeHeight);
+    return {
+        minX: Math.min(...children.map((n) => n.position.x)),
+        minY: Math.min(...children.map((n) => n.position.y)),
+        maxX: Math.max(...children.map((n) => n.position.x + width(n))),
+        maxY: Math.max(...children.map((n) => n.position.y + height(n))),
+    };
+}
+
+// Fit one group to its children. Its corner moves by the children's offset
+// from `groupPadding` and the children move back by as much, so nothing
+// moves on screen. When the group grows along the flow, the nodes beside
+// it that start at or past its old end shift downstream by the growth.
+function refitGroup(nodes, group, cfg) {
+    const children = nodes.filter((n) => n.parentNode === group.id && n.position);
+    if (children.length === 0) return nodes;
+    const pad = cfg.groupPadding;
+    const b = childBounds(children, cfg);
+    const ox = b.minX - pad;
+    const oy = b.minY - pad;
+    const fitted = {
+        ...group,
+        position: { x: group.position.x + ox, y: group.position.y + oy },
+        data: { ...group.data, width: b.maxX - b.minX + 2 * pad, height: b.maxY - b.minY + 2 * pad },
+    };
+    const oldEnd = flowSpan(group, cfg).end;
+    const grow = flowSpan(fitted, cfg).end - oldEnd;
+    const level = group.parentNode || null;
+    const isDownstream = (n) => grow > 0 && n.position && (n.parentNode || null) === level
+        && !isPinned(n) && flowSpan(n, cfg).start >= oldEnd;
+
+    return nodes.map((n) => {
+        if (n.id === group.id) return fitted;
+        if (n.parentNode === group.id) return { ...n, position: { x: n.position.x - ox, y: n.position.y - oy } };
+        if (isDownstream(n)) return { ...n, position: shiftDownstream(n.position, grow, cfg.direction) };
+        return n;
+    });
+}
+
+/**
+ * Refit group `groupId`, then each group around it, to `groupPadding`
+ * around their children (`data.width` / `data.height`) after nodes inside
+ * were added or moved. Children keep their on-screen position; nodes
+ * downstream of a group that grew along the flow make room for it.
+ */
+export function refitGroups(nodes, groupId, config) {
+    const cfg = { ...DEFAULTS, ...(config || {}) };
+    let result = nodes;
+    let id = groupId;
+    while (id) {
+        const group = result.find((n) => n.id === id);
+        if (!group || !group.position) break;
+        result = refitGroup(result, group, cfg);
+        id = group.parentNode || null;
+    }
+    return result;
+}
+
+/**
+ * Position new nodes downstream of a parent node using a mini dagre layout,
+ * then shift all downstream nodes further along the flow to make room.
+ * Pinned nodes are never shifted. In swimlane mode the new nodes are then kept inside their lanes.
+ */
+export function placeNewNodes(parentId, parentNode, updatedNodes, newNodes, newEdges, updatedEdges, config) {
     if (!parentNode) return [...updatedNodes, ...newNodes];
+    const cfg = { ...DEFAULTS, ...(config || {}) };
 
     const miniNodeIds = new Set([parentId, ...newNodes.map((n) => n.id)]);
     const miniEdges = newEdges.filter(
         (e) => miniNodeIds.has(e.source) && miniNodeIds.has(e.target),
     );
-    const mini = layoutGraphDagre([parentNode, ...newNodes], miniEdges);
+    const mini = layoutGraphDagre([parentNode, ...newNodes], miniEdges, { ...cfg, lanes: null });
     const miniParent = mini.find((n) => n.id === parentId);
     if (!miniParent) return [...updatedNodes, ...newNodes];
 
     const dx = parentNode.position.x - miniParent.position.x;
     const dy = parentNode.position.y - miniParent.position.y;
     const newIds = new Set(newNodes.map((n) => n.id));
+    const fitLanes = (all) => (cfg.lanes ? clampToLanes(all, newIds, cfg) : all);
     const positioned = mini
         .filter((n) => newIds.has(n.id))
         .map((n) => ({
@@ -239,9 +398,7 @@ export function placeNewNodes(parentId, parentNode, updatedNodes, newNodes, newE
             position: { x: n.position.x + dx, y: n.position.y + dy },
         }));
 
-    const newBottom = Math.max(
-        ...positioned.map((n) => n.position.y + ((n.data && n.data.height != null) ? n.data.height : DEFAULTS.nodeHeight)),
-    );
+    const newEnd = Math.max(...positioned.map((n) => flowSpan(n, cfg).end));
 
     const allEdgesScope = [...updatedEdges, ...newEdges];
     const directDownstream = new Set(
@@ -250,7 +407,7 @@ export function placeNewNodes(parentId, parentNode, updatedNodes, newNodes, newE
             .map((e) => e.target),
     );
 
-    if (directDownstream.size === 0) return [...updatedNodes, ...positioned];
+    if (directDownstream.size === 0) return fitLanes([...updatedNodes, ...positioned]);
 
     const adjMap = new Map();
     for (const e of updatedEdges) {
@@ -267,19 +424,19 @@ export function placeNewNodes(parentId, parentNode, updatedNodes, newNodes, newE
     }
 
     const nodeMap = new Map(updatedNodes.map((n) => [n.id, n]));
-    const downstreamTopY = Math.min(
-        ...[...directDownstream].map((id) => { const n = nodeMap.get(id); return (n && n.position) ? n.position.y : Infinity; }),
+    const downstreamStart = Math.min(
+        ...[...directDownstream].map((id) => { const n = nodeMap.get(id); return (n && n.position) ? flowSpan(n, cfg).start : Infinity; }),
     );
-    const shift = newBottom + DEFAULTS.verticalGap - downstreamTopY;
+    const shift = newEnd + cfg.verticalGap - downstreamStart;
 
     const finalUpdated =
         shift > 0
             ? updatedNodes.map((n) =>
-                  downstreamIds.has(n.id)
-                      ? { ...n, position: { x: n.position.x, y: n.position.y + shift } }
+                  downstreamIds.has(n.id) && !isPinned(n)
+                      ? { ...n, position: shiftDownstream(n.position, shift, cfg.direction) }
                       : n,
               )
             : updatedNodes;
 
-    return [...finalUpdated, ...positioned];
+    return fitLanes([...finalUpdated, ...positioned]);
 }
@@ -16,27 +16,40 @@ export {
     placeNewNodes,
     removeDanglingEdges,
     reindexAllHandles,
+    isPinned,
+    layoutDisplacement,
 } from './graphUtils.js';
 
 // Graph actions (pure state transforms)
 export {
-    toggleCollapse, addNode, addNodeInline,
-    connectNodes, deleteNode, deleteEdge, layoutAll,
+    toggleCollapse, togglePin, collapseSubgraph, expandSubgraph,
+    collapseAll, expandAll, collapseToDepth, addNode, addNodeInline,
+    connectNodes, deleteNode, deleteEdge, setEdgeWaypoints, layoutAll,
     cascadeDeleteNode, cascadeDeleteEdge,
 } from './graphActions.js';
 
 // Node & edge components (for advanced usage / custom node types)
 export { default as OrthogonalEdge } from './OrthogonalEdge.jsx';
 export { default as NodeShell } from './NodeShell.jsx';
+export { default as GroupNode } from './GroupNode.jsx';
+export { default as SubgraphNode } from './SubgraphNode.jsx';
+export { default as SwimlaneBackground } from './SwimlaneBackground.jsx';
 export { default as DeleteButton } from './DeleteButton.jsx';
-export { default as CollapseButton } from './CollapseButton.jsx';
+export { default as CollapseButton, formatCollapsedSummary } from './CollapseButton.jsx';
+export { default as PinMenuItem } from './PinMenuItem.jsx';
 export { default as AddNodeMenu } from './AddNodeMenu.jsx';
 export { default as NodeActionButton } from './NodeActionButton.jsx';
 export { default as ActionNode } from './ActionNode.jsx';
 export { default as ActionEdge } from './ActionEdge.jsx';
 export { default as EdgeRoutingProvider } from './EdgeRoutingProvider.jsx';
 export { default as useAutoLayout } from './useAutoLayout.js';
-export { computeOrthogonalPath, waypointsToSvgPath, separateOverlappingEdges } from './orthogonalRouter.js';
-export { layoutGraph, addNodesToLayout, getVisibleGraph } from './layoutEngine.js';
-export { layoutGraphDagre } from './dagreLayout.js';
-export { DEFAULTS } from './defaults.js';
+export {
+    computeOrthogonalPath, createRoutingScene, waypointsToSvgPath,
+    separateOverlappingEdges, findEdgeCrossings, findBusJunctions,
+} from './orthogonalRouter.js';
+export { createWorkerRoutingEngine } from './routingEngine.js';
+export { runRoutingJob } from './routingJob.js';
+export { layoutGraph, addNodesToLayout, getVisibleGraph, getBranchDepths } from './layoutEngine.js';
+export { layoutGraphDagre, layoutGraphIncremental, findBackEdges } from './dagreLayout.js';
+export { applySwimlanes, computeLaneBands } from './swimlanes.js';
+export { DEFAULTS, resolveFlowSides } from './defaults.js';
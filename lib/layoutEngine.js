@@ -1,12 +1,43 @@
 import ELK from "elkjs/lib/elk.bundled.js";
-import { DEFAULTS } from "./defaults.js";
+import { DEFAULTS, resolveFlowSides, isHorizontalFlow } from "./defaults.js";
+import { applySwimlanes } from "./swimlanes.js";
 
 const elk = new ELK();
 
+const ELK_DIRECTIONS = { TB: "DOWN", BT: "UP", LR: "RIGHT", RL: "LEFT" };
+const ELK_PORT_SIDES = { top: "NORTH", bottom: "SOUTH", left: "WEST", right: "EAST" };
+
+/**
+ * ELK port for handle `i` of `count` on one side of a node.
+ * Centered on the side, 8px apart.
+ */
+function buildElkPort(nodeId, handleId, i, count, side, nodeWidth, nodeHeight) {
+    const offset = (i - (count - 1) / 2) * 8;
+    const vertical = side === "left" || side === "right";
+    let x = nodeWidth / 2 + offset;
+    let y = side === "bottom" ? nodeHeight : 0;
+    if (vertical) {
+        x = side === "right" ? nodeWidth : 0;
+        y = nodeHeight / 2 + offset;
+    }
+    return {
+        id: `${nodeId}__${handleId}`,
+        x,
+        y,
+        width: 1,
+        height: 1,
+        properties: {
+            "org.eclipse.elk.port.side": ELK_PORT_SIDES[side],
+            "org.eclipse.elk.port.index": String(i),
+        },
+    };
+}
+
 /**
  * Convert React Flow nodes + edges into an ELK graph object.
  * Builds explicit ports per node so ELK respects FIXED_ORDER
- * (output-0 = leftmost, output-1 = next, etc.)
+ * (output-0 = leftmost, output-1 = next, etc.), on the sides given by
+ * `cfg.direction`.
  */
 function buildElkGraph(nodes, edges, cfg, interactive = false) {
     // Collect ports per node from edges
@@ -22,46 +53,23 @@ function buildElkGraph(nodes, edges, cfg, interactive = false) {
         if (tgt) tgt.targets.add(edge.targetHandle || "input-0");
     }
 
+    const sides = resolveFlowSides(cfg.direction);
     const children = nodes.map((node) => {
         const ps = portSets.get(node.id);
         const ports = [];
         const nodeWidth = (node.data && node.data.width != null) ? node.data.width : cfg.nodeWidth;
         const nodeHeight = (node.data && node.data.height != null) ? node.data.height : cfg.nodeHeight;
 
-        // Input ports on top (NORTH), sorted by handle index for stable order
-        // Centered, 8px apart
+        // Input ports on the flow's input side (NORTH for TB), output ports
+        // on its output side, each sorted by handle index for stable order
         const targetHandles = Array.from(ps.targets).sort();
         targetHandles.forEach((handleId, i) => {
-            const offset = (i - (targetHandles.length - 1) / 2) * 8;
-            ports.push({
-                id: `${node.id}__${handleId}`,
-                x: nodeWidth / 2 + offset,
-                y: 0,
-                width: 1,
-                height: 1,
-                properties: {
-                    "org.eclipse.elk.port.side": "NORTH",
-                    "org.eclipse.elk.port.index": String(i),
-                },
-            });
+            ports.push(buildElkPort(node.id, handleId, i, targetHandles.length, sides.input, nodeWidth, nodeHeight));
         });
 
-        // Output ports on bottom (SOUTH), sorted by handle index
-        // Centered, 8px apart
         const sourceHandles = Array.from(ps.sources).sort();
         sourceHandles.forEach((handleId, i) => {
-            const offset = (i - (sourceHandles.length - 1) / 2) * 8;
-            ports.push({
-                id: `${node.id}__${handleId}`,
-                x: nodeWidth / 2 + offset,
-                y: nodeHeight,
-                width: 1,
-                height: 1,
-                properties: {
-                    "org.eclipse.elk.port.side": "SOUTH",
-                    "org.eclipse.elk.port.index": String(i),
-                },
-            });
+            ports.push(buildElkPort(node.id, handleId, i, sourceHandles.length, sides.output, nodeWidth, nodeHeight));
         });
 
         const child = {
@@ -87,6 +95,9 @@ function buildElkGraph(nodes, edges, cfg, interactive = false) {
         return child;
     });
 
+    const nested = hasGroups(nodes);
+    const roots = nested ? nestElkChildren(nodes, children, cfg) : children;
+
     // Edges reference port IDs
     const elkEdges = edges.map((edge) => ({
         id: edge.id,
@@ -96,7 +107,7 @@ function buildElkGraph(nodes, edges, cfg, interactive = false) {
 
     const layoutOptions = {
         "elk.algorithm": "layered",
-        "elk.direction": "DOWN",
+        "elk.direction": ELK_DIRECTIONS[cfg.direction] || "DOWN",
         // LONGEST_PATH assigns each node to the layer equal to its longest
         // path FROM the source. This guarantees that branch children at the
         // same topological depth (e.g. if/else-if/else nodes) always land in
@@ -110,6 +121,10 @@ function buildElkGraph(nodes, edges, cfg, interactive = false) {
         "elk.layered.considerModelOrder.strategy": "NODES_AND_EDGES",
     };
 
+    // Lay out group children together with the rest so edges that cross a
+    // group border still shape the layering
+    if (nested) layoutOptions["elk.hierarchyHandling"] = "INCLUDE_CHILDREN";
+
     if (interactive) {
         layoutOptions["org.eclipse.elk.interactive"] = "true";
         layoutOptions[
@@ -120,36 +135,91 @@ function buildElkGraph(nodes, edges, cfg, interactive = false) {
     return {
         id: "root",
         layoutOptions,
-        children,
+        children: roots,
         edges: elkEdges,
     };
 }
 
+// ---------- Groups ----------
+
+function hasGroups(nodes) {
+    const ids = new Set(nodes.map((n) => n.id));
+    return nodes.some((n) => n.parentNode && ids.has(n.parentNode));
+}
+
+/**
+ * Move every group child (React Flow `parentNode`) into its group's ELK
+ * node, so ELK lays the children out inside the group, `groupPadding` from
+ * its border, and sizes the group to fit. Returns the top-level ELK nodes.
+ */
+function nestElkChildren(nodes, elkNodes, cfg) {
+    const byId = new Map(elkNodes.map((c) => [c.id, c]));
+    const pad = cfg.groupPadding;
+    const roots = [];
+    nodes.forEach((node, i) => {
+        const parent = node.parentNode ? byId.get(node.parentNode) : null;
+        if (!parent) {
+            roots.push(elkNodes[i]);
+            return;
+        }
+        if (!parent.children) {
+            parent.children = [];
+            parent.properties["elk.padding"] = `[top=${pad},left=${pad},bottom=${pad},right=${pad}]`;
+            // The group's size is only known after layout, so its ports
+            // keep their side but not a fixed position
+            parent.properties["org.eclipse.elk.portConstraints"] = "FIXED_SIDE";
+        }
+        parent.children.push(elkNodes[i]);
+    });
+    return roots;
+}
+
+function collectElkBoxes(elkNodes, boxes) {
+    for (const child of elkNodes) {
+        const isGroup = !!child.children && child.children.length > 0;
+        boxes.set(child.id, { x: child.x, y: child.y, width: child.width, height: child.height, isGroup });
+        if (isGroup) collectElkBoxes(child.children, boxes);
+    }
+    return boxes;
+}
+
 /**
  * Map ELK output positions back onto the original React Flow nodes.
+ * ELK positions children relative to their parent, as React Flow does;
+ * group nodes also take the size ELK gave them.
  */
 function applyElkPositions(elkGraph, originalNodes) {
-    const posMap = new Map();
-    for (const child of elkGraph.children) {
-        posMap.set(child.id, { x: child.x, y: child.y });
-    }
+    const boxes = collectElkBoxes(elkGraph.children, new Map());
 
     return originalNodes.map((node) => {
-        const pos = posMap.get(node.id);
-        if (!pos) return node;
-        return { ...node, position: { x: pos.x, y: pos.y } };
+        const box = boxes.get(node.id);
+        if (!box) return node;
+        const position = { x: box.x, y: box.y };
+        if (!box.isGroup) return { ...node, position };
+        return { ...node, position, data: { ...node.data, width: box.width, height: box.height } };
     });
 }
 
 // ---------- Layer compaction helpers ----------
 
+// Node centre along the flow axis, negated for BT/RL so that layers always
+// sort in flow order.
+function flowCenter(n, cfg) {
+    const sign = cfg.direction === "BT" || cfg.direction === "RL" ? -1 : 1;
+    if (isHorizontalFlow(cfg.direction)) {
+        const nodeWidth = (n.data && n.data.width != null) ? n.data.width : cfg.nodeWidth;
+        return sign * (n.position.x + nodeWidth / 2);
+    }
+    const nodeHeight = (n.data && n.data.height != null) ? n.data.height : cfg.nodeHeight;
+    return sign * (n.position.y + nodeHeight / 2);
+}
+
 function clusterIntoLayers(positionedNodes, cfg) {
-    const sorted = [...positionedNodes].sort((a, b) => a.position.y - b.position.y);
+    const sorted = [...positionedNodes].sort((a, b) => flowCenter(a, cfg) - flowCenter(b, cfg));
     const layers = [];
     let curLayer = null;
     for (const n of sorted) {
-        const nodeHeight = (n.data && n.data.height != null) ? n.data.height : cfg.nodeHeight;
-        const cy = n.position.y + nodeHeight / 2;
+        const cy = flowCenter(n, cfg);
         if (!curLayer || Math.abs(cy - curLayer.cy) > 5) {
             curLayer = { cy, nodes: [] };
             layers.push(curLayer);
@@ -184,8 +254,8 @@ function determineLayerGap(prevNodeIds, curNodeIds, edgeMap, nodeDataMap, maxGap
 }
 
 /**
- * Post-layout compaction: shrink vertical gaps between layers based on
- * edge/node type — three tiers:
+ * Post-layout compaction: shrink the gaps between layers (vertical in TB/BT,
+ * horizontal in LR/RL) based on edge/node type — three tiers:
  *   labeled edges  → verticalGapWithLabel (116px)
  *   normal edges   → verticalGap (80px)
  *   merge targets  → verticalGapMerge (40px)
@@ -218,11 +288,13 @@ function compactUnlabeledLayers(positionedNodes, edges, cfg) {
 
     if (cumulativeShift === 0) return positionedNodes;
 
+    const axis = isHorizontalFlow(cfg.direction) ? "x" : "y";
+    const sign = cfg.direction === "BT" || cfg.direction === "RL" ? -1 : 1;
     return positionedNodes.map((n) => {
         const li = layerOfNode.get(n.id);
         const shift = li !== undefined ? layerShifts[li] : 0;
         if (shift === 0) return n;
-        return { ...n, position: { x: n.position.x, y: n.position.y - shift } };
+        return { ...n, position: { ...n.position, [axis]: n.position[axis] - sign * shift } };
     });
 }
 
@@ -230,6 +302,11 @@ function compactUnlabeledLayers(positionedNodes, edges, cfg) {
  * Run ELK layout on all nodes and return positioned nodes.
  * Async because ELK runs in a Web Worker / WASM.
  *
+ * Children of a group node (`parentNode`) are laid out inside it and come
+ * back positioned relative to it; the group gets `data.width` / `data.height`.
+ * With `config.lanes` set the result is packed into swimlanes, see
+ * applySwimlanes.
+ *
  * @param {Array} nodes - React Flow nodes
  * @param {Array} edges - React Flow edges
  * @param {Object} [config] - optional config overrides
@@ -239,8 +316,18 @@ export async function layoutGraph(nodes, edges, config) {
     const cfg = { ...DEFAULTS, ...(config || {}) };
     const elkGraph = buildElkGraph(nodes, edges, cfg);
     const layouted = await elk.layout(elkGraph);
-    const positioned = applyElkPositions(layouted, nodes);
-    return compactUnlabeledLayers(positioned, edges, cfg);
+    const positioned = compactTopLevel(applyElkPositions(layouted, nodes), nodes, edges, cfg);
+    return cfg.lanes ? applySwimlanes(positioned, cfg) : positioned;
+}
+
+// Group children sit in their group's coordinates; only the top level is
+// compacted
+function compactTopLevel(positioned, nodes, edges, cfg) {
+    if (!hasGroups(nodes)) return compactUnlabeledLayers(positioned, edges, cfg);
+    const ids = new Set(nodes.map((n) => n.id));
+    const topLevel = positioned.filter((n) => !(n.parentNode && ids.has(n.parentNode)));
+    const compacted = new Map(compactUnlabeledLayers(topLevel, edges, cfg).map((n) => [n.id, n]));
+    return positioned.map((n) => compacted.get(n.id) || n);
 }
 
 /**
@@ -274,13 +361,14 @@ export async function addNodesToLayout(
 
 function buildGraphMaps(edges) {
     const childrenOf = new Map();
-    const parentOf = new Map();
+    const outEdges = new Map();
     for (const edge of edges) {
         if (!childrenOf.has(edge.source)) childrenOf.set(edge.source, []);
         childrenOf.get(edge.source).push(edge.target);
-        parentOf.set(edge.target, edge.source);
+        if (!outEdges.has(edge.source)) outEdges.set(edge.source, []);
+        outEdges.get(edge.source).push(edge);
     }
-    return { childrenOf, parentOf };
+    return { childrenOf, outEdges };
 }
 
 function bfsReachable(startId, childrenOf) {
@@ -356,98 +444,332 @@ function collectBranchPath(branchChildId, mergeId, childrenOf) {
     return path;
 }
 
-function processFullCollapses(nodes, childrenOf, nodeMap, hiddenIds) {
+// ---------- Collapse regions ----------
+
+function isCollapsed(node) {
+    return !!(node && node.data && node.data.collapsed);
+}
+
+// A branch node whose branches all close at a merge node spans a region: the
+// nodes between the two, merge included. Regions nest; a region's parent is
+// the smallest larger region holding its branch node.
+function buildRegionTree(nodes, childrenOf, nodeMap) {
+    const regions = new Map();
     for (const node of nodes) {
-        if (!(node.data && node.data.collapsed)) continue;
-        const children = childrenOf.get(node.id) || [];
-        if (children.length < 2) continue; // not a branch node
+        if ((childrenOf.get(node.id) || []).length < 2) continue;
         const mergeId = findMergeNodeLocal(node.id, childrenOf, nodeMap);
         if (!mergeId) continue;
-        const between = collectBetween(node.id, mergeId, childrenOf);
-        for (const id of between) hiddenIds.add(id);
+        regions.set(node.id, {
+            branchId: node.id,
+            mergeId,
+            interior: collectBetween(node.id, mergeId, childrenOf),
+            children: [],
+        });
     }
+
+    const roots = [];
+    for (const region of regions.values()) {
+        const parent = parentRegion(region, regions);
+        if (parent) parent.children.push(region);
+        else roots.push(region);
+    }
+    return { regions, roots };
 }
 
-function processPerBranchCollapses(nodes, childrenOf, parentOf, nodeMap, hiddenIds) {
-    for (const node of nodes) {
-        if (!(node.data && node.data.collapsed)) continue;
-        if (hiddenIds.has(node.id)) continue; // already hidden by full group collapse
-        const parent = parentOf.get(node.id);
-        if (!parent) continue;
-        const siblings = childrenOf.get(parent) || [];
-        if (siblings.length < 2) continue; // parent is not a branch node
-        const mergeId = findMergeNodeLocal(parent, childrenOf, nodeMap);
-        if (!mergeId) continue;
-        const branchPath = collectBranchPath(node.id, mergeId, childrenOf);
-        for (const id of branchPath) hiddenIds.add(id);
-    }
-}
-
-function addBypassEdges(edge, hiddenIds, childrenOf, nodeMap, bypassEdges, visibleEdges) {
-    const mergeId = findMergeNodeLocal(edge.source, childrenOf, nodeMap);
-    if (!mergeId) return;
-    const mergeChildren = childrenOf.get(mergeId) || [];
-    for (const child of mergeChildren) {
-        if (hiddenIds.has(child)) continue;
-        const bypassKey = `${edge.source}->${child}`;
-        if (bypassEdges.has(bypassKey)) continue;
-        bypassEdges.add(bypassKey);
-        visibleEdges.push({
-            id: `bypass-${edge.source}-${child}`,
-            source: edge.source,
-            target: child,
-            type: edge.type,
-            markerEnd: edge.markerEnd,
-            data: { ...edge.data, isBypass: true },
-        });
+function parentRegion(region, regions) {
+    let parent = null;
+    for (const other of regions.values()) {
+        if (other.interior.size <= region.interior.size) continue;
+        if (!other.interior.has(region.branchId)) continue;
+        if (!parent || other.interior.size < parent.interior.size) parent = other;
     }
+    return parent;
 }
 
-function buildVisibleEdges(edges, hiddenIds, childrenOf, nodeMap) {
-    const visibleEdges = [];
-    const bypassEdges = new Set();
+// Hide what `region` collapses, outermost first. A collapsed branch node
+// hides its whole region, nested regions included; otherwise each collapsed
+// branch child hides its path up to the merge, and nested regions that are
+// still shown collapse on their own.
+function collapseRegion(region, state) {
+    const { nodeMap, hiddenIds, collapsed } = state;
+    if (isCollapsed(nodeMap.get(region.branchId))) {
+        for (const id of region.interior) hiddenIds.add(id);
+        collapsed.push({ region, edge: null, hidden: region.interior });
+        return;
+    }
+
+    for (const edge of state.outEdges.get(region.branchId) || []) {
+        const childId = edge.target;
+        if (childId === region.mergeId || hiddenIds.has(childId)) continue;
+        // A collapsed branch node collapses its own region instead
+        if (state.regions.has(childId) || !isCollapsed(nodeMap.get(childId))) continue;
+        const path = collectBranchPath(childId, region.mergeId, state.childrenOf);
+        for (const id of path) hiddenIds.add(id);
+        collapsed.push({ region, edge, hidden: path });
+    }
 
-    for (const edge of edges) {
-        const sourceHidden = hiddenIds.has(edge.source);
-        const targetHidden = hiddenIds.has(edge.target);
+    for (const child of region.children) {
+        if (!hiddenIds.has(child.branchId)) collapseRegion(child, state);
+    }
+}
+
+// The bypass drawn in place of a hidden region or path: it leaves the source
+// from the handle of the edge it stands in for and enters the target on the
+// handle the hidden graph used, so handle indices on both ends stay put.
+function bypassEdge(id, source, sourceHandle, exit, data) {
+    const edge = {
+        id,
+        source,
+        target: exit.target,
+        type: exit.type,
+        markerEnd: exit.markerEnd,
+        data: { ...data, isBypass: true },
+    };
+    if (sourceHandle) edge.sourceHandle = sourceHandle;
+    if (exit.targetHandle) edge.targetHandle = exit.targetHandle;
+    delete edge.data.waypoints;
+    return edge;
+}
+
+// A collapsed region is bypassed from its branch node to each shown child of
+// its merge node.
+function regionBypasses(region, state) {
+    const bypasses = [];
+    for (const exit of state.outEdges.get(region.mergeId) || []) {
+        if (state.hiddenIds.has(exit.target)) continue;
+        bypasses.push(bypassEdge(
+            `bypass-${region.branchId}-${exit.target}`,
+            region.branchId,
+            exit.sourceHandle,
+            exit,
+            exit.data,
+        ));
+    }
+    return bypasses;
+}
 
-        if (sourceHidden) continue;
-        if (!targetHidden) {
-            visibleEdges.push(edge);
-            continue;
+// A collapsed branch path is bypassed by one edge from the branch node
+// straight into the merge node, where the path entered it.
+function pathBypass(region, edge, path, state) {
+    let exit = null;
+    for (const id of path) {
+        for (const out of state.outEdges.get(id) || []) {
+            if (out.target !== region.mergeId) continue;
+            if (!exit || (out.targetHandle || "") < (exit.targetHandle || "")) exit = out;
         }
-        // Source visible, target hidden: find bypass target
-        addBypassEdges(edge, hiddenIds, childrenOf, nodeMap, bypassEdges, visibleEdges);
     }
+    if (!exit) return null;
+    return bypassEdge(`bypass-${region.branchId}-${edge.target}`, region.branchId, edge.sourceHandle, exit, edge.data);
+}
 
+function buildVisibleEdges(edges, state) {
+    const { hiddenIds } = state;
+    const visibleEdges = edges.filter((e) => !hiddenIds.has(e.source) && !hiddenIds.has(e.target));
+    const seen = new Set(visibleEdges.map((e) => e.id));
+    for (const { region, edge, hidden } of state.collapsed) {
+        const bypasses = edge ? [pathBypass(region, edge, hidden, state)] : regionBypasses(region, state);
+        for (const bypass of bypasses) {
+            if (!bypass || seen.has(bypass.id)) continue;
+            seen.add(bypass.id);
+            visibleEdges.push(bypass);
+        }
+    }
     return visibleEdges;
 }
 
+// Default status roll-up: how many hidden nodes have each status.
+function countStatuses(statuses) {
+    const counts = {};
+    for (const status of statuses) {
+        if (status == null || status === "") continue;
+        counts[status] = (counts[status] || 0) + 1;
+    }
+    return counts;
+}
+
+// Nodes hidden behind each shown branch node: its collapsed region, or all
+// of its collapsed branch paths together.
+function hiddenByBranch(collapsed) {
+    const hiddenBy = new Map();
+    for (const { region, hidden } of collapsed) {
+        if (!hiddenBy.has(region.branchId)) hiddenBy.set(region.branchId, new Set());
+        for (const id of hidden) hiddenBy.get(region.branchId).add(id);
+    }
+    return hiddenBy;
+}
+
+// One summary per node in `hiddenBy` (node id -> ids hidden behind it)
+function buildSummaries(hiddenBy, nodeMap, edges, config) {
+    const cfg = { ...DEFAULTS, ...(config || {}) };
+    const rollUp = cfg.collapseStatusReducer || countStatuses;
+    const summaries = new Map();
+    for (const [nodeId, ids] of hiddenBy) {
+        const hiddenNodes = Array.from(ids, (id) => nodeMap.get(id)).filter(Boolean);
+        const statuses = hiddenNodes.map((n) => (n.data ? n.data[cfg.collapseStatusField] : undefined));
+        summaries.set(nodeId, {
+            hiddenNodes: hiddenNodes.length,
+            hiddenEdges: edges.filter((e) => ids.has(e.source) || ids.has(e.target)).length,
+            status: rollUp(statuses, hiddenNodes),
+        });
+    }
+    return summaries;
+}
+
+// ---------- Collapsed subgraphs ----------
+
+function collapsedSubgraph(node) {
+    return (node.data && node.data.collapsedSubgraph) || null;
+}
+
+// The node drawn for a collapsed subgraph, in its entry node's place. It is
+// not a node of the app's graph, so it cannot be dragged or deleted.
+function subgraphPlaceholder(entry, subgraph, size) {
+    const placeholder = {
+        id: subgraph.id,
+        type: "__subgraph",
+        position: entry.position,
+        draggable: false,
+        deletable: false,
+        data: {
+            label: subgraph.label || `${size} steps`,
+            isSubgraph: true,
+            entryId: entry.id,
+            width: entry.data.width,
+            height: entry.data.height,
+        },
+    };
+    if (entry.parentNode) placeholder.parentNode = entry.parentNode;
+    return placeholder;
+}
+
+// Replace each collapsed subgraph (stored on its entry node, see
+// collapseSubgraph in graphActions) by a placeholder node. Edges between a
+// member and the rest of the graph end at the placeholder instead, on the
+// same handle; edges inside the subgraph are dropped. Larger subgraphs go
+// first, so one nested in another hides with it. Hidden ids per placeholder
+// go to `hiddenBy`.
+function collapseSubgraphs(nodes, edges, hiddenBy) {
+    const entries = nodes.filter(collapsedSubgraph)
+        .sort((a, b) => collapsedSubgraph(b).nodeIds.length - collapsedSubgraph(a).nodeIds.length);
+    if (entries.length === 0) return { nodes, edges };
+
+    const placeholderOf = new Map();
+    const placeholders = new Map();
+    const known = new Set(nodes.map((n) => n.id));
+    for (const entry of entries) {
+        if (placeholderOf.has(entry.id)) continue;
+        const subgraph = collapsedSubgraph(entry);
+        const ids = new Set(subgraph.nodeIds.filter((id) => known.has(id) && !placeholderOf.has(id)));
+        ids.add(entry.id);
+        for (const id of ids) placeholderOf.set(id, subgraph.id);
+        placeholders.set(entry.id, subgraphPlaceholder(entry, subgraph, ids.size));
+        hiddenBy.set(subgraph.id, ids);
+    }
+
+    const shown = [];
+    for (const n of nodes) {
+        if (placeholders.has(n.id)) shown.push(placeholders.get(n.id));
+        else if (!placeholderOf.has(n.id)) shown.push(n);
+    }
+    const rewired = [];
+    for (const edge of edges) {
+        const source = placeholderOf.get(edge.source) || edge.source;
+        const target = placeholderOf.get(edge.target) || edge.target;
+        if (source === edge.source && target === edge.target) rewired.push(edge);
+        else if (source !== target) rewired.push({ ...edge, source, target });
+    }
+    return { nodes: shown, edges: rewired };
+}
+
 /**
  * Filter out collapsed nodes/edges and generate bypass edges.
  *
+ * Branch nodes and the merge nodes (data.isMerge = true) closing them form
+ * a tree of nested regions, which collapses from the outside in:
+ *
  * When a branch node has data.collapsed = true, all nodes between it and
- * its associated merge node (data.isMerge = true) are hidden. A direct
- * bypass edge is created from the branch node to the merge node's child.
+ * its merge node, merge included, are hidden — nested regions with them,
+ * whether collapsed or not. A bypass edge leads from the branch node to
+ * each of the merge node's children.
+ *
+ * When an individual branch child has data.collapsed = true, only that
+ * branch path is hidden (from the child up to, not including, the merge
+ * node), and one bypass edge leads from the branch node into the merge.
+ *
+ * Every hidden region or path gets exactly one bypass per exit, which keeps
+ * the handles of the edges it replaces (see bypassEdge).
  *
- * When perBranchCollapse is enabled and an individual branch child has
- * data.collapsed = true, only that branch path is hidden (nodes between
- * the branch child and the merge node).
+ * A node with data.collapsedSubgraph = { id, nodeIds, label } is the entry
+ * of a collapsed subgraph (see collapseSubgraph): it and the other nodes in
+ * `nodeIds` are replaced by one placeholder node `{ id, type: "__subgraph" }`
+ * in the entry's place, which edges to and from the subgraph now lead to
+ * and from, on their original handles.
+ *
+ * `summaries` maps each shown branch node or placeholder with hidden nodes
+ * behind it to `{ hiddenNodes, hiddenEdges, status }`: the number of hidden
+ * nodes and of edges to or from them, and a roll-up of the hidden nodes'
+ * `data[config.collapseStatusField]`. The roll-up is
+ * `config.collapseStatusReducer(statuses, hiddenNodes)` if set, otherwise a
+ * count per status, e.g. `{ done: 6, failed: 1 }`.
  *
  * @param {Array} nodes
  * @param {Array} edges
- * @returns {{ visibleNodes: Array, visibleEdges: Array }}
+ * @param {Object} [config] - `collapseStatusField`, `collapseStatusReducer`
+ * @returns {{ visibleNodes: Array, visibleEdges: Array, summaries: Map }}
  */
-export function getVisibleGraph(nodes, edges) {
-    const nodeMap = new Map(nodes.map((n) => [n.id, n]));
-    const { childrenOf, parentOf } = buildGraphMaps(edges);
+export function getVisibleGraph(nodes, edges, config) {
+    if (!nodes.some((n) => isCollapsed(n) || collapsedSubgraph(n))) {
+        return { visibleNodes: nodes, visibleEdges: edges, summaries: new Map() };
+    }
 
-    const hiddenIds = new Set();
-    processFullCollapses(nodes, childrenOf, nodeMap, hiddenIds);
-    processPerBranchCollapses(nodes, childrenOf, parentOf, nodeMap, hiddenIds);
+    const hiddenBySubgraph = new Map();
+    const graph = collapseSubgraphs(nodes, edges, hiddenBySubgraph);
+
+    const nodeMap = new Map(graph.nodes.map((n) => [n.id, n]));
+    const { childrenOf, outEdges } = buildGraphMaps(graph.edges);
+    const { regions, roots } = buildRegionTree(graph.nodes, childrenOf, nodeMap);
+
+    const state = { nodeMap, childrenOf, outEdges, regions, hiddenIds: new Set(), collapsed: [] };
+    for (const region of roots) {
+        if (!state.hiddenIds.has(region.branchId)) collapseRegion(region, state);
+    }
 
-    const visibleNodes = nodes.filter((n) => !hiddenIds.has(n.id));
-    const visibleEdges = buildVisibleEdges(edges, hiddenIds, childrenOf, nodeMap);
+    const visibleNodes = graph.nodes.filter((n) => !state.hiddenIds.has(n.id));
+    const visibleEdges = buildVisibleEdges(graph.edges, state);
+    const summaries = new Map([
+        ...buildSummaries(hiddenBySubgraph, new Map(nodes.map((n) => [n.id, n])), edges, config),
+        ...buildSummaries(hiddenByBranch(state.collapsed), nodeMap, graph.edges, config),
+    ]);
 
-    return { visibleNodes, visibleEdges };
+    return { visibleNodes, visibleEdges, summaries };
+}
+
+// Depth of `region` in the region tree. A region opening at its parent's
+// merge node follows the parent rather than nesting in it.
+function regionDepth(region, parentOf) {
+    const parent = parentOf.get(region);
+    if (!parent) return 0;
+    return regionDepth(parent, parentOf) + (parent.mergeId === region.branchId ? 0 : 1);
+}
+
+/**
+ * Nesting depth of every branch node that has a merge node: 0 for the
+ * outermost branches, 1 for branches inside them, and so on. Collapse
+ * state is ignored.
+ *
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @returns {Map} branch node id -> depth
+ */
+export function getBranchDepths(nodes, edges) {
+    const nodeMap = new Map(nodes.map((n) => [n.id, n]));
+    const { childrenOf } = buildGraphMaps(edges);
+    const { regions } = buildRegionTree(nodes, childrenOf, nodeMap);
+    const parentOf = new Map();
+    for (const region of regions.values()) {
+        for (const child of region.children) parentOf.set(child, region);
+    }
+    const depths = new Map();
+    for (const region of regions.values()) depths.set(region.branchId, regionDepth(region, parentOf));
+    return depths;
 }
@@ -26,10 +26,20 @@ class MinHeap {
     return this.data.length;
   }
 
+  // Ties on cost are broken by `g` (path cost so far), then `idx`, so the
+  // pop order — and therefore the returned route — is fully deterministic.
+  _less(i, j) {
+    const a = this.data[i];
+    const b = this.data[j];
+    if (a.cost !== b.cost) return a.cost < b.cost;
+    if (a.g !== b.g) return a.g < b.g;
+    return a.idx < b.idx;
+  }
+
   _bubbleUp(i) {
     while (i > 0) {
       const parent = (i - 1) >> 1;
-      if (this.data[i].cost < this.data[parent].cost) {
+      if (this._less(i, parent)) {
         [this.data[i], this.data[parent]] = [this.data[parent], this.data[i]];
         i = parent;
       } else break;
@@ -42,8 +52,8 @@ class MinHeap {
       let smallest = i;
       const l = 2 * i + 1;
       const r = 2 * i + 2;
-      if (l < n && this.data[l].cost < this.data[smallest].cost) smallest = l;
-      if (r < n && this.data[r].cost < this.data[smallest].cost) smallest = r;
+      if (l < n && this._less(l, smallest)) smallest = l;
+      if (r < n && this._less(r, smallest)) smallest = r;
       if (smallest !== i) {
         [this.data[i], this.data[smallest]] = [this.data[smallest], this.data[i]];
         i = smallest;
@@ -64,8 +74,111 @@ function inflateObstacles(nodes, padding) {
   }));
 }
 
-function pointStrictlyInsideAnyObstacle(x, y, obstacles) {
+// ---------- Obstacle spatial index ----------
+
+// Upper bound on grid cells per obstacle, so widely scattered nodes don't
+// allocate a huge, mostly empty grid.
+const MAX_CELLS_PER_OBSTACLE = 16;
+
+function measureObstacles(obstacles) {
+  const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity, meanSize: 0 };
+  let sizeSum = 0;
   for (const o of obstacles) {
+    if (o.left < bounds.minX) bounds.minX = o.left;
+    if (o.top < bounds.minY) bounds.minY = o.top;
+    if (o.right > bounds.maxX) bounds.maxX = o.right;
+    if (o.bottom > bounds.maxY) bounds.maxY = o.bottom;
+    sizeSum += (o.right - o.left + o.bottom - o.top) / 2;
+  }
+  bounds.meanSize = sizeSum / obstacles.length;
+  return bounds;
+}
+
+/**
+ * Uniform grid over inflated obstacles. Each obstacle is registered in every
+ * cell its closed bounds touch, so a point or segment only needs to be tested
+ * against the obstacles of the cells it lies in. Cell size follows the mean
+ * obstacle size.
+ */
+class ObstacleGrid {
+  constructor(obstacles) {
+    this.cells = [];
+    this.cols = 0;
+    this.rows = 0;
+    if (obstacles.length === 0) return;
+
+    const { minX, minY, maxX, maxY, meanSize } = measureObstacles(obstacles);
+    let cellSize = Math.max(1, meanSize);
+    const maxCells = MAX_CELLS_PER_OBSTACLE * obstacles.length;
+    const area = ((maxX - minX) / cellSize + 1) * ((maxY - minY) / cellSize + 1);
+    if (area > maxCells) cellSize *= Math.sqrt(area / maxCells);
+
+    this.minX = minX;
+    this.minY = minY;
+    this.maxX = maxX;
+    this.maxY = maxY;
+    this.cellSize = cellSize;
+    this.cols = Math.floor((maxX - minX) / cellSize) + 1;
+    this.rows = Math.floor((maxY - minY) / cellSize) + 1;
+    this.cells = Array.from({ length: this.cols * this.rows }, () => []);
+
+    for (const o of obstacles) {
+      const c0 = this._col(o.left);
+      const c1 = this._col(o.right);
+      const r0 = this._row(o.top);
+      const r1 = this._row(o.bottom);
+      for (let r = r0; r <= r1; r++) {
+        for (let c = c0; c <= c1; c++) {
+          this.cells[r * this.cols + c].push(o);
+        }
+      }
+    }
+  }
+
+  _col(x) {
+    return Math.min(this.cols - 1, Math.max(0, Math.floor((x - this.minX) / this.cellSize)));
+  }
+
+  _row(y) {
+    return Math.min(this.rows - 1, Math.max(0, Math.floor((y - this.minY) / this.cellSize)));
+  }
+
+  /** Obstacles whose cell contains (x, y); empty outside the grid bounds. */
+  at(x, y) {
+    if (this.cells.length === 0) return [];
+    if (x < this.minX || x > this.maxX || y < this.minY || y > this.maxY) return [];
+    return this.cells[this._row(y) * this.cols + this._col(x)];
+  }
+
+  /**
+   * Cells covering an axis-aligned segment, as an array of obstacle lists.
+   * orientation: 'h' (fixed y) or 'v' (fixed x)
+   */
+  along(orientation, fixedCoord, lo, hi) {
+    if (this.cells.length === 0) return [];
+    const result = [];
+    if (orientation === 'h') {
+      if (fixedCoord < this.minY || fixedCoord > this.maxY) return result;
+      if (hi < this.minX || lo > this.maxX) return result;
+      const row = this._row(fixedCoord) * this.cols;
+      for (let c = this._col(lo), c1 = this._col(hi); c <= c1; c++) {
+        result.push(this.cells[row + c]);
+      }
+    } else {
+      if (fixedCoord < this.minX || fixedCoord > this.maxX) return result;
+      if (hi < this.minY || lo > this.maxY) return result;
+      const col = this._col(fixedCoord);
+      for (let r = this._row(lo), r1 = this._row(hi); r <= r1; r++) {
+        result.push(this.cells[r * this.cols + col]);
+      }
+    }
+    return result;
+  }
+}
+
+function pointStrictlyInsideAnyObstacle(x, y, index, exclude) {
+  for (const o of index.at(x, y)) {
+    if (exclude && exclude.has(o.id)) continue;
     if (x > o.left && x < o.right && y > o.top && y < o.bottom) {
       return true;
     }
@@ -73,15 +186,9 @@ function pointStrictlyInsideAnyObstacle(x, y, obstacles) {
   return false;
 }
 
-/**
- * Check if an axis-aligned segment crosses any inflated obstacle.
- * orientation: 'h' (horizontal, fixed y) or 'v' (vertical, fixed x)
- */
-function segmentCrossesAnyObstacle(orientation, fixedCoord, start, end, obstacles) {
-  const lo = Math.min(start, end);
-  const hi = Math.max(start, end);
-
-  for (const o of obstacles) {
+function segmentCrossesObstacleList(orientation, fixedCoord, lo, hi, list, exclude) {
+  for (const o of list) {
+    if (exclude && exclude.has(o.id)) continue;
     if (orientation === 'h') {
       // horizontal segment at y = fixedCoord, from x=lo to x=hi
       if (fixedCoord > o.top && fixedCoord < o.bottom && hi > o.left && lo < o.right) {
@@ -95,6 +202,19 @@ function segmentCrossesAnyObstacle(orientation, fixedCoord, start, end, obstacle
   return false;
 }
 
+/**
+ * Check if an axis-aligned segment crosses any inflated obstacle.
+ * orientation: 'h' (horizontal, fixed y) or 'v' (vertical, fixed x)
+ */
+function segmentCrossesAnyObstacle(orientation, fixedCoord, start, end, index, exclude) {
+  const lo = Math.min(start, end);
+  const hi = Math.max(start, end);
+  for (const list of index.along(orientation, fixedCoord, lo, hi)) {
+    if (segmentCrossesObstacleList(orientation, fixedCoord, lo, hi, list, exclude)) return true;
+  }
+  return false;
+}
+
 // ---------- Path utilities ----------
 
 export function simplifyPath(points) {
@@ -128,36 +248,40 @@ function dedup(points) {
 
 // ---------- SVG path helpers ----------
 
-function computeCornerArc(prev, cur, next, bendRadius) {
+// Arc endpoints for a rounded corner at `cur`, or null when the corner
+// stays sharp (collinear points or a radius too small to draw).
+function cornerArcEnds(prev, cur, next, bendRadius) {
   const dx1 = cur.x - prev.x;
   const dy1 = cur.y - prev.y;
   const dx2 = next.x - cur.x;
   const dy2 = next.y - cur.y;
 
   const isCollinear = (dx1 === 0 && dx2 === 0) || (dy1 === 0 && dy2 === 0);
-  if (isCollinear) {
-    return ` L ${cur.x} ${cur.y}`;
-  }
+  if (isCollinear) return null;
 
   const inLen = Math.abs(dx1) + Math.abs(dy1);
   const outLen = Math.abs(dx2) + Math.abs(dy2);
   const r = Math.min(bendRadius, inLen / 2, outLen / 2);
 
-  if (r < 0.5) {
-    return ` L ${cur.x} ${cur.y}`;
-  }
+  if (r < 0.5) return null;
 
   const inDx = dx1 === 0 ? 0 : dx1 / Math.abs(dx1);
   const inDy = dy1 === 0 ? 0 : dy1 / Math.abs(dy1);
   const outDx = dx2 === 0 ? 0 : dx2 / Math.abs(dx2);
   const outDy = dy2 === 0 ? 0 : dy2 / Math.abs(dy2);
 
-  const arcStartX = cur.x - inDx * r;
-  const arcStartY = cur.y - inDy * r;
-  const arcEndX = cur.x + outDx * r;
-  const arcEndY = cur.y + outDy * r;
+  return {
+    start: { x: cur.x - inDx * r, y: cur.y - inDy * r },
+    end: { x: cur.x + outDx * r, y: cur.y + outDy * r },
+  };
+}
 
-  return ` L ${arcStartX} ${arcStartY} Q ${cur.x} ${cur.y} ${arcEndX} ${arcEndY}`;
+function computeCornerArc(prev, cur, next, bendRadius) {
+  const arc = cornerArcEnds(prev, cur, next, bendRadius);
+  if (!arc) {
+    return ` L ${cur.x} ${cur.y}`;
+  }
+  return ` L ${arc.start.x} ${arc.start.y} Q ${cur.x} ${cur.y} ${arc.end.x} ${arc.end.y}`;
 }
 
 function buildStraightPath(points) {
@@ -168,9 +292,93 @@ function buildStraightPath(points) {
   return d;
 }
 
-export function waypointsToSvgPath(points, bendRadius = 0) {
+// ---------- Line jumps ----------
+
+// Positions (along the segment's travel axis) of the crossings that lie on
+// the straight run from `from` to `to`, at least `size` away from either end,
+// sorted in travel order.
+function jumpsOnRun(from, to, crossings, size) {
+  const horizontal = from.y === to.y;
+  const along = horizontal ? 'x' : 'y';
+  const across = horizontal ? 'y' : 'x';
+  const lo = Math.min(from[along], to[along]) + size;
+  const hi = Math.max(from[along], to[along]) - size;
+  const found = [];
+  for (const c of crossings) {
+    if (c[across] === from[across] && c[along] >= lo && c[along] <= hi) found.push(c[along]);
+  }
+  const sign = to[along] > from[along] ? 1 : -1;
+  return found.sort((a, b) => (a - b) * sign);
+}
+
+/**
+ * Straight run from `from` to `to` with a hop (semicircle) or gap of radius
+ * `size` at each crossing on it. Hops bulge up on horizontal runs and right
+ * on vertical runs, whichever way the run is travelled.
+ */
+function lineWithJumps(from, to, jumps) {
+  const straight = from.x === to.x || from.y === to.y;
+  if (!straight || (from.x === to.x && from.y === to.y)) return ` L ${to.x} ${to.y}`;
+
+  const { crossings, style, size } = jumps;
+  const horizontal = from.y === to.y;
+  const delta = horizontal ? to.x - from.x : to.y - from.y;
+  const sign = delta > 0 ? 1 : -1;
+  const point = (t) => (horizontal ? `${t} ${from.y}` : `${from.x} ${t}`);
+
+  const sweep = sign > 0 ? 1 : 0;
+  let d = '';
+  let last = null;
+  for (const c of jumpsOnRun(from, to, crossings, size)) {
+    // Skip crossings too close to the previous jump to fit another one
+    if (last !== null && (c - last) * sign < 2 * size) continue;
+    const before = c - sign * size;
+    const after = c + sign * size;
+    if (style === 'gap') {
+      d += ` L ${point(before)} M ${point(after)}`;
+    } else {
+      d += ` L ${point(before)} A ${size} ${size} 0 0 ${sweep} ${point(after)}`;
+    }
+    last = c;
+  }
+  return d + ` L ${to.x} ${to.y}`;
+}
+
+function buildJumpPath(points, bendRadius, jumps) {
+  let d = `M ${points[0].x} ${points[0].y}`;
+  let pos = points[0];
+  for (let i = 1; i < points.length - 1; i++) {
+    const cur = points[i];
+    const arc = bendRadius > 0 ? cornerArcEnds(points[i - 1], cur, points[i + 1], bendRadius) : null;
+    if (arc) {
+      d += lineWithJumps(pos, arc.start, jumps);
+      d += ` Q ${cur.x} ${cur.y} ${arc.end.x} ${arc.end.y}`;
+      pos = arc.end;
+    } else {
+      d += lineWithJumps(pos, cur, jumps);
+      pos = cur;
+    }
+  }
+  return d + lineWithJumps(pos, points[points.length - 1], jumps);
+}
+
+/**
+ * SVG path through orthogonal waypoints, with corners rounded to
+ * `bendRadius`.
+ *
+ * `jumps` optionally decorates crossings with other edges:
+ * `{ crossings: Array<{x,y}>, style: 'hop' | 'gap', size: number }`.
+ * Crossings must lie on the path (see findEdgeCrossings); those closer than
+ * `size` to a corner or endpoint are drawn plain.
+ */
+export function waypointsToSvgPath(points, bendRadius = 0, jumps = null) {
   if (!points || points.length === 0) return '';
 
+  const jumpStyle = jumps && (jumps.style === 'hop' || jumps.style === 'gap');
+  if (jumpStyle && jumps.size > 0 && jumps.crossings && jumps.crossings.length > 0) {
+    return buildJumpPath(points, bendRadius, jumps);
+  }
+
   if (points.length <= 2 || bendRadius <= 0) {
     return buildStraightPath(points);
   }
@@ -183,6 +391,47 @@ export function waypointsToSvgPath(points, bendRadius = 0) {
   return d;
 }
 
+/**
+ * Points where edges cross each other at right angles, strictly inside a
+ * segment of both. `edgePaths` is in priority order (highest first); each
+ * crossing is reported for the lower-priority edge only, which is the one
+ * that draws the line jump.
+ *
+ * @param {Array<{id: string, points: Array<{x:number,y:number}>}>} edgePaths
+ * @returns {Map<string, Array<{x:number,y:number}>>} edge id → crossing points
+ */
+export function findEdgeCrossings(edgePaths) {
+  const horizontals = [];
+  const verticals = [];
+  edgePaths.forEach((edge, rank) => {
+    const pts = edge.points;
+    for (let i = 0; i < pts.length - 1; i++) {
+      const a = pts[i];
+      const b = pts[i + 1];
+      if (a.y === b.y && a.x !== b.x) {
+        horizontals.push({ rank, fixed: a.y, lo: Math.min(a.x, b.x), hi: Math.max(a.x, b.x) });
+      } else if (a.x === b.x && a.y !== b.y) {
+        verticals.push({ rank, fixed: a.x, lo: Math.min(a.y, b.y), hi: Math.max(a.y, b.y) });
+      }
+    }
+  });
+  verticals.sort((a, b) => a.fixed - b.fixed);
+  const verticalXs = verticals.map((v) => v.fixed);
+
+  const result = new Map();
+  for (const h of horizontals) {
+    for (let i = lowerBound(verticalXs, h.lo); i < verticals.length && verticals[i].fixed <= h.hi; i++) {
+      const v = verticals[i];
+      if (v.rank === h.rank || v.fixed === h.lo || v.fixed === h.hi) continue;
+      if (h.fixed <= v.lo || h.fixed >= v.hi) continue;
+      const id = edgePaths[Math.max(h.rank, v.rank)].id;
+      if (!result.has(id)) result.set(id, []);
+      result.get(id).push({ x: v.fixed, y: h.fixed });
+    }
+  }
+  return result;
+}
+
 // ---------- Stub direction helpers ----------
 
 const STUB_DELTAS = {
@@ -197,6 +446,36 @@ function computeStubEnd(x, y, dir, length) {
   return { x: x + d.dx * length, y: y + d.dy * length };
 }
 
+// Midpoint of one side of an endpoint node's rect.
+function sidePort(rect, side) {
+  const cx = rect.x + rect.width / 2;
+  const cy = rect.y + rect.height / 2;
+  if (side === 'top') return { x: cx, y: rect.y };
+  if (side === 'left') return { x: rect.x, y: cy };
+  if (side === 'right') return { x: rect.x + rect.width, y: cy };
+  return { x: cx, y: rect.y + rect.height };
+}
+
+/**
+ * Candidate ports for one endpoint. Without `allowed` sides this is just the
+ * port itself. Otherwise there is one port per allowed side: the port's own
+ * side keeps the port position, other sides sit at the middle of that side
+ * of `rect` (or at the port position when no rect is known). The port's own
+ * side, if allowed, comes first.
+ */
+function portCandidates(port, dir, allowed, rect) {
+  if (!allowed || allowed.length === 0) return [{ x: port.x, y: port.y, dir }];
+  const out = [];
+  for (const side of allowed) {
+    if (!STUB_DELTAS[side] || out.some((c) => c.dir === side)) continue;
+    const at = side === dir || !rect ? port : sidePort(rect, side);
+    const candidate = { x: at.x, y: at.y, dir: side };
+    if (side === dir) out.unshift(candidate);
+    else out.push(candidate);
+  }
+  return out.length > 0 ? out : [{ x: port.x, y: port.y, dir }];
+}
+
 // ---------- Fallback S-shaped path ----------
 
 function fallbackPath(sourceX, sourceY, targetX, targetY, cfg) {
@@ -244,215 +523,864 @@ function fallbackPath(sourceX, sourceY, targetX, targetY, cfg) {
 
 // ---------- Visibility graph helpers ----------
 
-function collectGuideCoordinates(sourceStubEnd, targetStubStart, obstacles) {
-  const xSet = new Set([sourceStubEnd.x, targetStubStart.x]);
-  const ySet = new Set([sourceStubEnd.y, targetStubStart.y]);
-
+/** Count how many obstacle sides lie on each guide coordinate. */
+function countGuideCoordinates(obstacles) {
+  const xCounts = new Map();
+  const yCounts = new Map();
+  const bump = (map, v) => map.set(v, (map.get(v) || 0) + 1);
   for (const o of obstacles) {
-    xSet.add(o.left);
-    xSet.add(o.right);
-    ySet.add(o.top);
-    ySet.add(o.bottom);
+    bump(xCounts, o.left);
+    bump(xCounts, o.right);
+    bump(yCounts, o.top);
+    bump(yCounts, o.bottom);
+  }
+  return {
+    xCounts,
+    yCounts,
+    xs: Array.from(xCounts.keys()).sort((a, b) => a - b),
+    ys: Array.from(yCounts.keys()).sort((a, b) => a - b),
+  };
+}
+
+/**
+ * Guide lines for one route: the scene's obstacle sides, minus lines that only
+ * excluded obstacles contribute, plus the stub-end coordinates.
+ */
+function routeGuideLine(sorted, counts, excludedCounts, stubCoords) {
+  let result = sorted;
+  if (excludedCounts.size > 0) {
+    result = sorted.filter((v) => counts.get(v) > (excludedCounts.get(v) || 0));
   }
+  for (const v of stubCoords) {
+    if (binarySearch(result, v) !== -1) continue;
+    if (result === sorted) result = sorted.slice();
+    let i = 0;
+    while (i < result.length && result[i] < v) i++;
+    result.splice(i, 0, v);
+  }
+  return result;
+}
 
+function collectGuideCoordinates(guides, excluded, stubPoints) {
+  const exX = new Map();
+  const exY = new Map();
+  const bump = (map, v) => map.set(v, (map.get(v) || 0) + 1);
+  for (const o of excluded) {
+    bump(exX, o.left);
+    bump(exX, o.right);
+    bump(exY, o.top);
+    bump(exY, o.bottom);
+  }
   return {
-    xs: Array.from(xSet).sort((a, b) => a - b),
-    ys: Array.from(ySet).sort((a, b) => a - b),
+    xs: routeGuideLine(guides.xs, guides.xCounts, exX, stubPoints.map((p) => p.x)),
+    ys: routeGuideLine(guides.ys, guides.yCounts, exY, stubPoints.map((p) => p.y)),
   };
 }
 
-function generateWaypoints(xs, ys, obstacles) {
-  const waypoints = [];
-  const wpIndex = new Map();
+// Lattice cell states for VisibilityLattice.free
+const CELL_UNKNOWN = 0;
+const CELL_FREE = 1;
+const CELL_BLOCKED = 2;
+
+/**
+ * Sparse orthogonal visibility graph over the guide-line lattice.
+ *
+ * Waypoints are the lattice intersections not strictly inside an obstacle,
+ * identified by their lattice key `xi * ys.length + yi`. Free-ness and
+ * neighbours are resolved lazily while the search expands, so a goal-directed
+ * search only pays for the part of the lattice it actually visits.
+ * Every obstacle query goes through the shared ObstacleGrid.
+ */
+class VisibilityLattice {
+  constructor(xs, ys, index, exclude) {
+    this.xs = xs;
+    this.ys = ys;
+    this.index = index;
+    this.exclude = exclude;
+    this.rows = ys.length;
+    this.size = xs.length * ys.length;
+    this.free = new Uint8Array(this.size);
+  }
+
+  key(xi, yi) {
+    return xi * this.rows + yi;
+  }
+
+  x(k) {
+    return this.xs[Math.floor(k / this.rows)];
+  }
+
+  y(k) {
+    return this.ys[k % this.rows];
+  }
+
+  isFree(k) {
+    if (this.free[k] === CELL_UNKNOWN) {
+      const blocked = pointStrictlyInsideAnyObstacle(this.x(k), this.y(k), this.index, this.exclude);
+      this.free[k] = blocked ? CELL_BLOCKED : CELL_FREE;
+    }
+    return this.free[k] === CELL_FREE;
+  }
+
+  /** Waypoint key at guide coordinates (x, y), or -1 if blocked or off-lattice. */
+  find(x, y) {
+    const xi = binarySearch(this.xs, x);
+    const yi = binarySearch(this.ys, y);
+    if (xi === -1 || yi === -1) return -1;
+    const k = this.key(xi, yi);
+    return this.isFree(k) ? k : -1;
+  }
+
+  /**
+   * Call fn(neighborKey, dist, dir) for the nearest free waypoint in each of
+   * the four directions, unless the segment to it crosses an obstacle.
+   */
+  forEachNeighbor(k, fn) {
+    const xi = Math.floor(k / this.rows);
+    const yi = k % this.rows;
+    this._scan(xi, yi, 0, 1, fn);
+    this._scan(xi, yi, 0, -1, fn);
+    this._scan(xi, yi, 1, 0, fn);
+    this._scan(xi, yi, -1, 0, fn);
+  }
 
-  for (const x of xs) {
-    for (const y of ys) {
-      if (pointStrictlyInsideAnyObstacle(x, y, obstacles)) continue;
-      const idx = waypoints.length;
-      waypoints.push({ x, y });
-      wpIndex.set(`${x},${y}`, idx);
+  _scan(xi, yi, stepX, stepY, fn) {
+    let nxi = xi + stepX;
+    let nyi = yi + stepY;
+    while (nxi >= 0 && nxi < this.xs.length && nyi >= 0 && nyi < this.rows) {
+      const nk = this.key(nxi, nyi);
+      if (this.isFree(nk)) {
+        this._visit(xi, yi, nxi, nyi, nk, fn);
+        return;
+      }
+      nxi += stepX;
+      nyi += stepY;
     }
   }
 
-  return { waypoints, wpIndex };
+  _visit(xi, yi, nxi, nyi, nk, fn) {
+    if (xi === nxi) {
+      const x = this.xs[xi];
+      if (segmentCrossesAnyObstacle('v', x, this.ys[yi], this.ys[nyi], this.index, this.exclude)) return;
+      fn(nk, Math.abs(this.ys[nyi] - this.ys[yi]), 'v');
+    } else {
+      const y = this.ys[yi];
+      if (segmentCrossesAnyObstacle('h', y, this.xs[xi], this.xs[nxi], this.index, this.exclude)) return;
+      fn(nk, Math.abs(this.xs[nxi] - this.xs[xi]), 'h');
+    }
+  }
 }
 
-function ensureWaypoint(waypoints, wpIndex, x, y, obstacles) {
-  const k = `${x},${y}`;
-  if (wpIndex.has(k)) return wpIndex.get(k);
-  if (pointStrictlyInsideAnyObstacle(x, y, obstacles)) return -1;
-  const idx = waypoints.length;
-  waypoints.push({ x, y });
-  wpIndex.set(k, idx);
-  return idx;
+function binarySearch(sorted, value) {
+  let lo = 0;
+  let hi = sorted.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] === value) return mid;
+    if (sorted[mid] < value) lo = mid + 1;
+    else hi = mid - 1;
+  }
+  return -1;
 }
 
-function groupWaypointsByAxis(waypoints) {
-  const byX = new Map();
-  const byY = new Map();
+// ---------- Soft obstacles (already-routed edges) ----------
 
-  for (let i = 0; i < waypoints.length; i++) {
-    const wp = waypoints[i];
-    if (!byX.has(wp.x)) byX.set(wp.x, []);
-    byX.get(wp.x).push({ y: wp.y, idx: i });
-    if (!byY.has(wp.y)) byY.set(wp.y, []);
-    byY.get(wp.y).push({ x: wp.x, idx: i });
+/**
+ * Segments of already-routed edges, bucketed by their fixed coordinate.
+ * In crossing-aware mode the search may still cross or run along them, but
+ * pays `crossingPenalty` per crossing and `overlapPenalty` per px of
+ * collinear overlap. Paths added with a `group` are free to overlap for
+ * routes of the same group (`busGroup`), so a bus can share its trunk.
+ */
+class SoftPathIndex {
+  constructor() {
+    this.buckets = { h: new Map(), v: new Map() };
+    this.keys = { h: [], v: [] };
+    this.size = 0;
+  }
+
+  add(points, group = null) {
+    for (let i = 0; i < points.length - 1; i++) {
+      const a = points[i];
+      const b = points[i + 1];
+      if (a.y === b.y && a.x !== b.x) this._insert('h', a.y, a.x, b.x, group);
+      else if (a.x === b.x && a.y !== b.y) this._insert('v', a.x, a.y, b.y, group);
+    }
+  }
+
+  _insert(orientation, fixedCoord, p, q, group) {
+    const bucket = this.buckets[orientation];
+    let list = bucket.get(fixedCoord);
+    if (!list) {
+      list = [];
+      bucket.set(fixedCoord, list);
+      const keys = this.keys[orientation];
+      keys.splice(lowerBound(keys, fixedCoord), 0, fixedCoord);
+    }
+    list.push({ lo: Math.min(p, q), hi: Math.max(p, q), group });
+    this.size++;
+  }
+
+  /** Soft cost of a lattice move along `orientation` at `fixedCoord` from `from` to `to`. */
+  cost(orientation, fixedCoord, from, to, cfg) {
+    const lo = Math.min(from, to);
+    const hi = Math.max(from, to);
+    let cost = 0;
+    const ownGroup = cfg.busGroup != null ? cfg.busGroup : null;
+    if (cfg.overlapPenalty > 0) {
+      const same = this.buckets[orientation].get(fixedCoord) || [];
+      for (const seg of same) {
+        if (ownGroup !== null && seg.group === ownGroup) continue;
+        const overlap = Math.min(hi, seg.hi) - Math.max(lo, seg.lo);
+        if (overlap > 0) cost += overlap * cfg.overlapPenalty;
+      }
+    }
+    if (cfg.crossingPenalty > 0) {
+      cost += this._crossings(orientation, fixedCoord, from, lo, hi, ownGroup) * cfg.crossingPenalty;
+    }
+    return cost;
   }
 
-  for (const arr of byX.values()) arr.sort((a, b) => a.y - b.y);
-  for (const arr of byY.values()) arr.sort((a, b) => a.x - b.x);
+  // A crossing is counted on the move that reaches it, never at the move's
+  // start, so a straight run split over several lattice steps counts it
+  // once. Segments that merely end on the move do not count.
+  _crossings(orientation, fixedCoord, from, lo, hi, ownGroup) {
+    const cross = orientation === 'h' ? 'v' : 'h';
+    const keys = this.keys[cross];
+    const bucket = this.buckets[cross];
+    let count = 0;
+    for (let i = lowerBound(keys, lo); i < keys.length && keys[i] <= hi; i++) {
+      if (keys[i] === from) continue;
+      for (const seg of bucket.get(keys[i])) {
+        if (ownGroup !== null && seg.group === ownGroup) continue;
+        if (seg.lo < fixedCoord && fixedCoord < seg.hi) count++;
+      }
+    }
+    return count;
+  }
+}
+
+function lowerBound(sorted, value) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function isCrossingAware(cfg) {
+  return cfg.crossingPenalty > 0 || cfg.overlapPenalty > 0;
+}
 
-  return { byX, byY };
+function createSoftCost(lattice, soft, cfg) {
+  return function softCost(k, neighbor, dir) {
+    if (dir === 'h') return soft.cost('h', lattice.y(k), lattice.x(k), lattice.x(neighbor), cfg);
+    return soft.cost('v', lattice.x(k), lattice.y(k), lattice.y(neighbor), cfg);
+  };
 }
 
-function connectAlignedWaypoints(grouped, orientation, obstacles, adj) {
-  for (const [fixedCoord, list] of grouped) {
-    for (let i = 0; i < list.length - 1; i++) {
-      const a = list[i];
-      const b = list[i + 1];
-      const aVar = orientation === 'v' ? a.y : a.x;
-      const bVar = orientation === 'v' ? b.y : b.x;
-      if (segmentCrossesAnyObstacle(orientation, fixedCoord, aVar, bVar, obstacles)) continue;
-      const dist = Math.abs(bVar - aVar);
-      adj[a.idx].push({ neighbor: b.idx, dist, dir: orientation });
-      adj[b.idx].push({ neighbor: a.idx, dist, dir: orientation });
+// Swimlane boundaries (`cfg.laneBoundaries`, `{ orientation, at, lo, hi }`)
+// are crossed freely, but a move running along one within `padding` of it
+// pays `laneBoundaryPenalty` per px it shares with the boundary.
+function createLaneCost(lattice, cfg) {
+  const lines = cfg.laneBoundaries;
+  if (!Array.isArray(lines) || lines.length === 0 || cfg.laneBoundaryPenalty <= 0) return null;
+  const parallel = {
+    h: lines.filter((l) => l.orientation === 'h'),
+    v: lines.filter((l) => l.orientation === 'v'),
+  };
+  return function laneCost(k, neighbor, dir) {
+    const fixed = dir === 'h' ? lattice.y(k) : lattice.x(k);
+    const a = dir === 'h' ? lattice.x(k) : lattice.y(k);
+    const b = dir === 'h' ? lattice.x(neighbor) : lattice.y(neighbor);
+    let cost = 0;
+    for (const line of parallel[dir]) {
+      if (Math.abs(fixed - line.at) > cfg.padding) continue;
+      const shared = Math.min(Math.max(a, b), line.hi) - Math.max(Math.min(a, b), line.lo);
+      if (shared > 0) cost += shared * cfg.laneBoundaryPenalty;
+    }
+    return cost;
+  };
+}
+
+// Extra cost of a move on top of its length: soft paths and lane boundaries.
+function createMoveCost(lattice, soft, cfg) {
+  const softCost = soft ? createSoftCost(lattice, soft, cfg) : null;
+  const laneCost = createLaneCost(lattice, cfg);
+  if (!softCost || !laneCost) return softCost || laneCost;
+  return (k, neighbor, dir) => softCost(k, neighbor, dir) + laneCost(k, neighbor, dir);
+}
+
+// ---------- Search helpers (Dijkstra / A*) ----------
+
+/**
+ * Per-scene search state, reused by every route of the scene. Entries are
+ * only valid when stamped with the current search, so starting a search is
+ * O(1) instead of allocating and filling arrays sized to the whole lattice.
+ * (300 nodes, routing a long edge: about 1M states; allocating them per
+ * route cost ~10 ms and most of the garbage collection time.)
+ */
+class SearchBuffers {
+  constructor() {
+    this.size = 0;
+    this.stamp = 0;
+  }
+
+  reset(stateCount) {
+    if (stateCount > this.size || this.stamp === 0xffffffff) {
+      this.size = Math.max(stateCount, this.size);
+      this.dist = new Float64Array(this.size);
+      this.prev = new Int32Array(this.size);
+      this.origin = new Uint8Array(this.size);
+      this.reached = new Uint32Array(this.size);
+      this.settled = new Uint32Array(this.size);
+      this.stamp = 0;
     }
+    this.stamp++;
+    return this;
+  }
+
+  costOf(s) {
+    return this.reached[s] === this.stamp ? this.dist[s] : Infinity;
+  }
+
+  reach(s, cost, prev, origin) {
+    this.reached[s] = this.stamp;
+    this.dist[s] = cost;
+    this.prev[s] = prev;
+    this.origin[s] = origin;
+  }
+
+  isSettled(s) {
+    return this.settled[s] === this.stamp;
+  }
+
+  settle(s) {
+    this.settled[s] = this.stamp;
   }
 }
 
-function buildAdjacencyList(waypoints, obstacles) {
-  const { byX, byY } = groupWaypointsByAxis(waypoints);
-  const adj = Array.from({ length: waypoints.length }, () => []);
-  connectAlignedWaypoints(byX, 'v', obstacles, adj);
-  connectAlignedWaypoints(byY, 'h', obstacles, adj);
-  return adj;
+// Search states are (waypoint, incoming direction) pairs so the bend penalty
+// is charged exactly. Only the start state has no incoming direction.
+const DIR_NONE = 0;
+const DIR_CODE = { v: 1, h: 2 };
+const DIRS_PER_WAYPOINT = 3;
+
+function stateOf(k, dir) {
+  return k * DIRS_PER_WAYPOINT + (dir ? DIR_CODE[dir] : DIR_NONE);
 }
 
-// ---------- Dijkstra helpers ----------
+function dirOfState(s) {
+  const code = s % DIRS_PER_WAYPOINT;
+  if (code === DIR_CODE.v) return 'v';
+  if (code === DIR_CODE.h) return 'h';
+  return null;
+}
 
-function relaxEdge(edge, idx, cost, state, cfg, ctx, heap) {
-  if (state.visited[edge.neighbor]) return;
+function relaxEdge(neighbor, dist, edgeDir, s, state, cfg, ctx, heap) {
+  const k = Math.floor(s / DIRS_PER_WAYPOINT);
+  const dir = dirOfState(s);
+  const next = stateOf(neighbor, edgeDir);
+  if (state.isSettled(next)) return;
   let bendCost = 0;
-  if (state.prevDir[idx] !== null && state.prevDir[idx] !== edge.dir) {
+  if (dir !== null && dir !== edgeDir) {
     bendCost = cfg.bendPenalty;
   }
   let earlyBendCost = 0;
-  if (ctx.srcVertical && edge.dir === 'h') {
-    earlyBendCost = Math.max(0, ctx.waypoints[idx].y - ctx.sourceStubEnd.y) * cfg.earlyBendBias;
+  const origin = ctx.starts[state.origin[s]];
+  if (origin.vertical && edgeDir === 'h') {
+    earlyBendCost = Math.max(0, ctx.lattice.y(k) - origin.stubEnd.y) * cfg.earlyBendBias;
   }
-  const newCost = cost + edge.dist + bendCost + earlyBendCost;
-  if (newCost < state.dist[edge.neighbor]) {
-    state.dist[edge.neighbor] = newCost;
-    state.prev[edge.neighbor] = idx;
-    state.prevDir[edge.neighbor] = edge.dir;
-    heap.push({ cost: newCost, idx: edge.neighbor });
+  const softCost = ctx.softCost ? ctx.softCost(k, neighbor, edgeDir) : 0;
+  const newCost = state.dist[s] + dist + bendCost + earlyBendCost + softCost;
+  const known = state.costOf(next);
+  // Equal-cost arrivals keep the lowest predecessor state, independent of
+  // the order in which Dijkstra or A* happens to settle them.
+  if (newCost < known || (newCost === known && s < state.prev[next])) {
+    state.reach(next, newCost, s, state.origin[s]);
+    heap.push({ cost: newCost + ctx.estimate(neighbor, edgeDir), g: newCost, idx: next });
   }
 }
 
-function runDijkstra(adj, startIdx, endIdx, waypoints, cfg, srcVertical, sourceStubEnd) {
-  const state = {
-    dist: new Float64Array(waypoints.length).fill(Infinity),
-    prev: new Int32Array(waypoints.length).fill(-1),
-    prevDir: new Array(waypoints.length).fill(null),
-    visited: new Uint8Array(waypoints.length),
+/**
+ * A* estimate: Manhattan distance to the goal plus one bend penalty when the
+ * waypoint, entered along `dir`, cannot reach the goal without turning.
+ * With several goals the estimate is the minimum over them.
+ *
+ * Both terms are lower bounds that can only shrink by the cost actually paid
+ * on an edge (distance, and the bend penalty when the edge turns), so the
+ * estimate is admissible and consistent; so is a minimum of such estimates.
+ */
+function createManhattanBendEstimate(lattice, goals, bendPenalty) {
+  return function estimate(k, dir) {
+    let best = Infinity;
+    for (const goal of goals) {
+      const dx = Math.abs(lattice.x(k) - goal.x);
+      const dy = Math.abs(lattice.y(k) - goal.y);
+      let straight;
+      if (dir === 'v') straight = dx === 0;
+      else if (dir === 'h') straight = dy === 0;
+      else straight = dx === 0 || dy === 0;
+      best = Math.min(best, dx + dy + (straight ? 0 : bendPenalty));
+    }
+    return best;
   };
+}
 
-  state.dist[startIdx] = 0;
-  const stubDir = srcVertical ? 'v' : 'h';
-  state.prevDir[startIdx] = cfg.earlyBendBias > 0 ? null : stubDir;
-  const heap = new MinHeap();
-  heap.push({ cost: 0, idx: startIdx });
+function zeroEstimate() {
+  return 0;
+}
+
+// Cost of finishing at `goal` after arriving along `dir`: one bend when the
+// path has to turn into the goal's stub. Via-point goals have no stub.
+function arrivalCost(goal, dir, cfg) {
+  if (goal.open || dir === null || dir === stubAxis(goal)) return 0;
+  return cfg.bendPenalty;
+}
 
-  const ctx = { srcVertical, waypoints, sourceStubEnd };
+function stubAxis(port) {
+  return port.vertical ? 'v' : 'h';
+}
 
-  while (heap.size > 0) {
-    const { cost, idx } = heap.pop();
-    if (state.visited[idx]) continue;
-    state.visited[idx] = 1;
-    if (idx === endIdx) break;
+// A settled state on a goal waypoint does not end the search: it queues an
+// arrival entry priced with the bend into the cheapest goal stub there, and
+// the search ends when the first arrival entry is popped.
+function queueArrival(s, goalIndices, goals, state, cfg, heap) {
+  const dir = dirOfState(s);
+  let best = -1;
+  let bestCost = Infinity;
+  for (const i of goalIndices) {
+    const cost = arrivalCost(goals[i], dir, cfg);
+    if (cost < bestCost) {
+      best = i;
+      bestCost = cost;
+    }
+  }
+  const g = state.dist[s] + bestCost;
+  heap.push({ cost: g, g, idx: s, goal: best });
+}
 
-    for (const edge of adj[idx]) {
-      relaxEdge(edge, idx, cost, state, cfg, ctx, heap);
+/**
+ * Shortest path over (waypoint, direction) states from any of `starts` to
+ * any of `goals`. Starts are `{ key, vertical, stubEnd }` (one per candidate
+ * source side), goals are `{ key, vertical, open? }`; every start begins at
+ * cost 0, heading along its stub, so the search settles on the cheapest
+ * start/goal combination in one run. Turning out of a source stub and into
+ * a target stub each cost a bend like any other turn, except into `open`
+ * goals (via-points). Each state remembers the start it was reached from,
+ * for the early-bend cost.
+ * With `cfg.routingAlgorithm === 'astar'` the heap is keyed on cost plus
+ * createManhattanBendEstimate; otherwise it is plain Dijkstra.
+ * With a `soft` path index, moves also pay its crossing and overlap cost,
+ * and with `cfg.laneBoundaries` the cost of running along a lane boundary;
+ * neither is ever negative, so the A* estimate stays consistent.
+ * Returns { endState, start, goal, prev, expanded } — `start` and `goal`
+ * index the chosen candidates; endState is -1 when unreachable.
+ */
+function runSearch(lattice, starts, goals, cfg, soft, buffers) {
+  const state = buffers.reset(lattice.size * DIRS_PER_WAYPOINT);
+
+  const goalsAt = new Map();
+  goals.forEach((goal, i) => {
+    if (!goalsAt.has(goal.key)) goalsAt.set(goal.key, []);
+    goalsAt.get(goal.key).push(i);
+  });
+  const estimate = cfg.routingAlgorithm === 'astar'
+    ? createManhattanBendEstimate(lattice, goals.map((g) => ({ x: lattice.x(g.key), y: lattice.y(g.key) })), cfg.bendPenalty)
+    : zeroEstimate;
+  const softCost = createMoveCost(lattice, soft, cfg);
+  const ctx = { starts, lattice, estimate, softCost };
+
+  const heap = new MinHeap();
+  starts.forEach((start, i) => {
+    const startDir = stubAxis(start);
+    const s = stateOf(start.key, startDir);
+    if (state.costOf(s) === 0) return;
+    state.reach(s, 0, -1, i);
+    heap.push({ cost: estimate(start.key, startDir), g: 0, idx: s });
+  });
+
+  let expanded = 0;
+  while (heap.size > 0) {
+    const item = heap.pop();
+    const s = item.idx;
+    if (item.goal !== undefined) {
+      return { endState: s, start: state.origin[s], goal: item.goal, prev: state.prev, expanded };
     }
+    if (state.isSettled(s)) continue;
+    state.settle(s);
+    expanded++;
+    const k = Math.floor(s / DIRS_PER_WAYPOINT);
+    if (goalsAt.has(k)) queueArrival(s, goalsAt.get(k), goals, state, cfg, heap);
+
+    lattice.forEachNeighbor(k, (neighbor, dist, edgeDir) => {
+      relaxEdge(neighbor, dist, edgeDir, s, state, cfg, ctx, heap);
+    });
   }
 
-  return state;
+  return { endState: -1, start: -1, goal: -1, prev: state.prev, expanded };
 }
 
-function reconstructPath(prev, endIdx) {
-  const pathIndices = [];
-  let cur = endIdx;
+function reconstructPath(lattice, prev, endState) {
+  const points = [];
+  let cur = endState;
   while (cur !== -1) {
-    pathIndices.push(cur);
+    const k = Math.floor(cur / DIRS_PER_WAYPOINT);
+    points.push({ x: lattice.x(k), y: lattice.y(k) });
     cur = prev[cur];
   }
-  pathIndices.reverse();
-  return pathIndices;
+  points.reverse();
+  return points;
 }
 
-// ---------- Main routing function ----------
+function stubbedPort(port, length) {
+  return {
+    port: { x: port.x, y: port.y },
+    dir: port.dir,
+    stubEnd: computeStubEnd(port.x, port.y, port.dir, length),
+    vertical: port.dir === 'top' || port.dir === 'bottom',
+  };
+}
 
-export function computeOrthogonalPath(
-  sourceX,
-  sourceY,
-  targetX,
-  targetY,
-  allNodes,
-  config = {}
-) {
-  const cfg = { ...DEFAULTS, ...config };
-  const sourcePort = { x: sourceX, y: sourceY };
-  const targetPort = { x: targetX, y: targetY };
-  const srcDir = cfg.sourceDir || 'bottom';
-  const tgtDir = cfg.targetDir || 'top';
-  const sourceStubEnd = computeStubEnd(sourceX, sourceY, srcDir, cfg.sourceStubLength);
-  const targetStubStart = computeStubEnd(targetX, targetY, tgtDir, cfg.targetStubLength);
+function searchStats(cfg, expanded) {
+  return { algorithm: cfg.routingAlgorithm === 'astar' ? 'astar' : 'dijkstra', expanded };
+}
+
+/**
+ * Resolve both endpoints into stubbed candidate ports. `sources[0]` and
+ * `targets[0]` are the preferred ports and are also exposed as `source`,
+ * `sourceStubEnd`, ... for the single-port paths (shortcut and fallback).
+ */
+function resolveRoute(cfg, sourcePort, targetPort) {
+  const srcDir = sourcePort.dir || cfg.sourceDir || 'bottom';
+  const tgtDir = targetPort.dir || cfg.targetDir || 'top';
+  const sources = portCandidates(sourcePort, srcDir, cfg.allowedSourceSides, cfg.sourceRect)
+    .map((p) => stubbedPort(p, cfg.sourceStubLength));
+  const targets = portCandidates(targetPort, tgtDir, cfg.allowedTargetSides, cfg.targetRect)
+    .map((p) => stubbedPort(p, cfg.targetStubLength));
+  const src = sources[0];
+  const tgt = targets[0];
+  return {
+    cfg: { ...cfg, sourceDir: src.dir, targetDir: tgt.dir },
+    source: src.port,
+    target: tgt.port,
+    sourceStubEnd: src.stubEnd,
+    targetStubStart: tgt.stubEnd,
+    srcVertical: src.vertical,
+    tgtVertical: tgt.vertical,
+    sources,
+    targets,
+  };
+}
 
-  // Build inflated obstacles
-  const obstacles = inflateObstacles(allNodes, cfg.padding);
+function fallbackResult(r, expanded) {
+  const pts = simplifyPath(fallbackPath(r.source.x, r.source.y, r.target.x, r.target.y, r.cfg));
+  return { points: pts, path: waypointsToSvgPath(pts), stats: searchStats(r.cfg, expanded) };
+}
+
+// Candidate ports whose stub end is a free lattice waypoint, with its key.
+function findPortKeys(lattice, ports) {
+  const found = [];
+  for (const p of ports) {
+    const key = lattice.find(p.stubEnd.x, p.stubEnd.y);
+    if (key !== -1) found.push({ ...p, key });
+  }
+  return found;
+}
+
+function routeInScene(scene, r, exclude) {
+  const { cfg, source, target, sourceStubEnd, targetStubStart } = r;
 
-  // Simple path when stubs nearly overlap (same axis, close together)
+  // Simple path when stubs nearly overlap (same axis, close together).
+  // Via-point legs have no stubs, so they always search.
   const sameX = Math.abs(sourceStubEnd.x - targetStubStart.x) < 1;
-  const srcVertical = srcDir === 'top' || srcDir === 'bottom';
-  const tgtVertical = tgtDir === 'top' || tgtDir === 'bottom';
-  if (srcVertical && tgtVertical && sameX && sourceStubEnd.y >= targetStubStart.y) {
-    const pts = simplifyPath(dedup([sourcePort, sourceStubEnd, targetStubStart, targetPort]));
-    return { points: pts, path: waypointsToSvgPath(pts) };
+  const singlePorts = r.sources.length === 1 && r.targets.length === 1;
+  if (singlePorts && !r.via && r.srcVertical && r.tgtVertical && sameX && sourceStubEnd.y >= targetStubStart.y) {
+    const pts = simplifyPath(dedup([source, sourceStubEnd, targetStubStart, target]));
+    return { points: pts, path: waypointsToSvgPath(pts), stats: searchStats(cfg, 0) };
   }
 
-  // Collect guide coordinates and generate waypoints
-  const { xs, ys } = collectGuideCoordinates(sourceStubEnd, targetStubStart, obstacles);
-  const { waypoints, wpIndex } = generateWaypoints(xs, ys, obstacles);
+  // Collect guide coordinates; the lattice resolves waypoints on demand
+  const excluded = exclude ? scene.obstacles.filter((o) => exclude.has(o.id)) : [];
+  const stubPoints = r.sources.concat(r.targets).map((p) => p.stubEnd);
+  const { xs, ys } = collectGuideCoordinates(scene.guides, excluded, stubPoints);
+  const lattice = new VisibilityLattice(xs, ys, scene.index, excluded.length > 0 ? exclude : null);
+
+  // Stub ends are guide coordinates, so they are waypoints unless blocked
+  const starts = findPortKeys(lattice, r.sources);
+  const goals = findPortKeys(lattice, r.targets).map((p) => ({ ...p, open: !!r.openEnd }));
+  if (starts.length === 0 || goals.length === 0) return fallbackResult(r, 0);
+
+  // Run Dijkstra / A* over the visibility lattice
+  const soft = isCrossingAware(cfg) && scene.soft.size > 0 ? scene.soft : null;
+  const search = runSearch(lattice, starts, goals, cfg, soft, scene.search);
+  if (search.endState === -1) return fallbackResult(r, search.expanded);
+
+  const latticePoints = reconstructPath(lattice, search.prev, search.endState);
+  const from = starts[search.start];
+  const to = goals[search.goal];
+  const fullPoints = [
+    from.port,
+    from.stubEnd,
+    ...latticePoints,
+    to.stubEnd,
+    to.port,
+  ];
+
+  const simplified = simplifyPath(dedup(fullPoints));
+  return {
+    points: simplified,
+    path: waypointsToSvgPath(simplified, cfg.bendRadius || 0),
+    stats: searchStats(cfg, search.expanded),
+  };
+}
 
-  // Ensure start and end are in the graph
-  const startIdx = ensureWaypoint(waypoints, wpIndex, sourceStubEnd.x, sourceStubEnd.y, obstacles);
-  const endIdx = ensureWaypoint(waypoints, wpIndex, targetStubStart.x, targetStubStart.y, obstacles);
+// ---------- Via-points ----------
+
+// Stub direction that continues a path arriving along its last segment.
+function arrivalDir(points, fallback) {
+  for (let i = points.length - 1; i > 0; i--) {
+    const dx = points[i].x - points[i - 1].x;
+    const dy = points[i].y - points[i - 1].y;
+    if (dy > 0) return 'bottom';
+    if (dy < 0) return 'top';
+    if (dx > 0) return 'right';
+    if (dx < 0) return 'left';
+  }
+  return fallback;
+}
 
-  if (startIdx === -1 || endIdx === -1) {
-    const pts = simplifyPath(fallbackPath(sourceX, sourceY, targetX, targetY, cfg));
-    return { points: pts, path: waypointsToSvgPath(pts) };
+/**
+ * Route through required via-points, one search leg per consecutive pair.
+ * Only the first leg has a source stub and only the last a target stub.
+ * Each later leg starts in the direction the previous one arrived, so
+ * running straight through a via-point costs no bend; arriving at one in
+ * either direction is free (`openEnd`).
+ */
+function routeViaWaypoints(scene, r, exclude, waypoints) {
+  const { cfg } = r;
+  const stops = [r.source, ...waypoints, r.target];
+  const lastLeg = stops.length - 2;
+  let points = [];
+  let expanded = 0;
+  let dir = cfg.sourceDir;
+
+  for (let i = 0; i <= lastLeg; i++) {
+    const legCfg = {
+      ...cfg,
+      sourceStubLength: i === 0 ? cfg.sourceStubLength : 0,
+      targetStubLength: i === lastLeg ? cfg.targetStubLength : 0,
+      earlyBendBias: i === 0 ? cfg.earlyBendBias : 0,
+      allowedSourceSides: i === 0 ? cfg.allowedSourceSides : null,
+      allowedTargetSides: i === lastLeg ? cfg.allowedTargetSides : null,
+    };
+    const from = { x: stops[i].x, y: stops[i].y, dir };
+    const to = { x: stops[i + 1].x, y: stops[i + 1].y, dir: i === lastLeg ? cfg.targetDir : null };
+    const leg = routeInScene(scene, { ...resolveRoute(legCfg, from, to), via: true, openEnd: i < lastLeg }, exclude);
+    points = points.concat(i === 0 ? leg.points : leg.points.slice(1));
+    expanded += leg.stats.expanded;
+    dir = arrivalDir(leg.points, dir);
   }
 
-  // Build adjacency list and run Dijkstra
-  const adj = buildAdjacencyList(waypoints, obstacles);
-  const state = runDijkstra(adj, startIdx, endIdx, waypoints, cfg, srcVertical, sourceStubEnd);
+  const simplified = simplifyPath(dedup(points));
+  return {
+    points: simplified,
+    path: waypointsToSvgPath(simplified, cfg.bendRadius || 0),
+    stats: searchStats(cfg, expanded),
+  };
+}
+
+// ---------- Self-loops ----------
 
-  if (state.dist[endIdx] === Infinity) {
-    const pts = simplifyPath(fallbackPath(sourceX, sourceY, targetX, targetY, cfg));
-    return { points: pts, path: waypointsToSvgPath(pts) };
+/**
+ * Compact loop for an edge whose source and target are the same node:
+ * out of the source stub, around `loop.side` ('right', 'left', 'top' or
+ * 'bottom') of `loop.rect`, and into the target stub. Loop `index` n sits
+ * n * `gap` further out on every side, so stacked loops nest without
+ * crossing. No search is needed — nothing may sit that close to the node
+ * anyway.
+ */
+function routeSelfLoop(r, loop) {
+  const { cfg } = r;
+  const { rect, index = 0, side = 'right', gap = cfg.selfLoopGap } = loop;
+  const extra = index * gap;
+  const out = computeStubEnd(r.source.x, r.source.y, cfg.sourceDir, cfg.sourceStubLength + extra);
+  const back = computeStubEnd(r.target.x, r.target.y, cfg.targetDir, cfg.targetStubLength + extra);
+  const reach = Math.max(cfg.sourceStubLength, cfg.targetStubLength) + extra;
+
+  const simplified = simplifyPath(dedup([r.source, out, ...selfLoopLane(rect, side, reach, out, back), back, r.target]));
+  return {
+    points: simplified,
+    path: waypointsToSvgPath(simplified, cfg.bendRadius || 0),
+    stats: searchStats(cfg, 0),
+  };
+}
+
+// The two corners of the run past `side` of the node, `reach` px out.
+function selfLoopLane(rect, side, reach, out, back) {
+  if (side === 'top' || side === 'bottom') {
+    const laneY = side === 'top' ? rect.y - reach : rect.y + rect.height + reach;
+    return [{ x: out.x, y: laneY }, { x: back.x, y: laneY }];
   }
+  const laneX = side === 'left' ? rect.x - reach : rect.x + rect.width + reach;
+  return [{ x: laneX, y: out.y }, { x: laneX, y: back.y }];
+}
 
-  const pathIndices = reconstructPath(state.prev, endIdx);
-  const fullPoints = [
-    sourcePort,
-    sourceStubEnd,
-    ...pathIndices.map((i) => waypoints[i]),
-    targetStubStart,
-    targetPort,
-  ];
+// ---------- Parallel offsets ----------
 
-  const simplified = simplifyPath(dedup(fullPoints));
-  return { points: simplified, path: waypointsToSvgPath(simplified, cfg.bendRadius || 0) };
+// Unit normal of an axis-aligned segment: its direction turned 90° clockwise
+// in screen coordinates (down → left, right → down).
+function segmentNormal(a, b) {
+  const dx = Math.sign(b.x - a.x);
+  const dy = Math.sign(b.y - a.y);
+  return { x: -dy, y: dx };
+}
+
+/**
+ * Copy of an orthogonal path moved sideways by `offset` px: every segment
+ * shifts along its own normal, and each bend takes one coordinate from
+ * each adjoining segment. The endpoints slide along their node sides, so
+ * copies with different offsets start and end at distinct ports and never
+ * cross each other.
+ */
+function offsetOrthogonalPath(points, offset) {
+  const pts = simplifyPath(dedup(points));
+  if (pts.length < 2) return pts;
+  const normals = [];
+  for (let i = 0; i < pts.length - 1; i++) normals.push(segmentNormal(pts[i], pts[i + 1]));
+  return pts.map((p, i) => {
+    const before = i > 0 ? normals[i - 1] : { x: 0, y: 0 };
+    const after = i < normals.length ? normals[i] : { x: 0, y: 0 };
+    return {
+      x: p.x + (before.x + after.x) * offset,
+      y: p.y + (before.y + after.y) * offset,
+    };
+  });
+}
+
+/**
+ * Move the last stub of a route sideways onto `port` when the route ends
+ * beside it (a bundle member whose target handle does not sit where the
+ * offset put it). The segment before the stub absorbs the shift; if it is
+ * collinear with the stub, a short jog is inserted instead.
+ */
+function snapRouteEnd(points, port) {
+  const n = points.length;
+  const end = points[n - 1];
+  if (n < 2 || (end.x === port.x && end.y === port.y)) return points;
+  const stub = points[n - 2];
+  const vertical = stub.x === end.x;
+  const moved = vertical ? { x: port.x, y: stub.y } : { x: stub.x, y: port.y };
+  const before = points[n - 3];
+  const turnsIntoStub = before && (vertical ? before.y === stub.y : before.x === stub.x);
+  const head = turnsIntoStub ? points.slice(0, n - 2) : points.slice(0, n - 1);
+  return [...head, moved, { x: port.x, y: port.y }];
+}
+
+function offsetRoute(result, offset, bendRadius, target) {
+  let points = offsetOrthogonalPath(result.points, offset);
+  if (target) points = simplifyPath(dedup(snapRouteEnd(points, target)));
+  return { ...result, points, path: waypointsToSvgPath(points, bendRadius || 0) };
+}
+
+// ---------- Routing scene ----------
+
+/**
+ * Build the obstacle set once and answer many routing queries against it.
+ *
+ * Inflated obstacles, the obstacle grid and the guide coordinates are shared
+ * by every `route()` call. Each query drops its excluded nodes (typically the
+ * edge's own source and target) from the obstacles and from the guide lines,
+ * so `route()` returns exactly what computeOrthogonalPath would for the node
+ * list without those nodes.
+ *
+ * `padding` is fixed for the scene; per-route config may override search
+ * parameters such as bendPenalty, earlyBendBias, stub lengths or
+ * routingAlgorithm, and add required via-points as `waypoints`. A
+ * `selfLoop` ({ rect, index, side }) draws a compact self-loop instead. A
+ * non-zero `parallelOffset` shifts the finished route sideways by that many
+ * px (parallel edge bundles), and a `parallelTarget` port moves the shifted
+ * route's last stub onto that port when it ended beside it.
+ *
+ * Crossing-aware mode (`crossingPenalty` or `overlapPenalty` > 0): paths
+ * passed to `addRoutedPath()`, plus any in `config.routedPaths`, become soft
+ * obstacles that later routes may cross or run along at a cost. A path may
+ * carry a bus group; routes with the same `busGroup` ignore it.
+ *
+ * Swimlanes: `config.laneBoundaries` (`{ orientation: 'h'|'v', at, lo, hi }`
+ * lines) make routes cross lane boundaries rather than run along them, at
+ * `laneBoundaryPenalty` per px of boundary followed.
+ *
+ * @param {Array<{id: string, x: number, y: number, width: number, height: number}>} nodes
+ * @param {Object} [config]
+ * @returns {{ addRoutedPath: (points: Array<{x:number,y:number}>, group?: string) => void, route: (sourcePort: {x:number,y:number,dir?:string}, targetPort: {x:number,y:number,dir?:string}, excludeIds?: Iterable<string>, routeConfig?: Object) => { points: Array<{x:number,y:number}>, path: string, stats: { algorithm: string, expanded: number } } }}
+ */
+export function createRoutingScene(nodes, config = {}) {
+  const cfg = { ...DEFAULTS, ...config };
+  const obstacles = inflateObstacles(nodes, cfg.padding);
+  const scene = {
+    obstacles,
+    index: new ObstacleGrid(obstacles),
+    guides: countGuideCoordinates(obstacles),
+    soft: new SoftPathIndex(),
+    search: new SearchBuffers(),
+  };
+  for (const routed of cfg.routedPaths || []) {
+    if (Array.isArray(routed)) scene.soft.add(routed);
+    else scene.soft.add(routed.points, routed.group);
+  }
+
+  return {
+    padding: cfg.padding,
+    addRoutedPath(points, group) {
+      scene.soft.add(points, group);
+    },
+    route(sourcePort, targetPort, excludeIds, routeConfig) {
+      const routeCfg = routeConfig ? { ...cfg, ...routeConfig, padding: cfg.padding } : cfg;
+      const exclude = excludeIds ? new Set(excludeIds) : null;
+      const r = resolveRoute(routeCfg, sourcePort, targetPort);
+      if (routeCfg.selfLoop) return routeSelfLoop(r, routeCfg.selfLoop);
+      const result = routeCfg.waypoints && routeCfg.waypoints.length > 0
+        ? routeViaWaypoints(scene, r, exclude, routeCfg.waypoints)
+        : routeInScene(scene, r, exclude);
+      if (!routeCfg.parallelOffset && !routeCfg.parallelTarget) return result;
+      return offsetRoute(result, routeCfg.parallelOffset || 0, routeCfg.bendRadius, routeCfg.parallelTarget);
+    },
+  };
+}
+
+// ---------- Main routing function ----------
+
+/**
+ * Route a single orthogonal edge around the given node rectangles.
+ *
+ * `config.routingAlgorithm` selects the search: 'dijkstra' (default) or
+ * 'astar'. Both return a route of the same cost (ties may differ);
+ * `stats.expanded` reports how many (waypoint, direction) search states
+ * the search settled.
+ *
+ * `config.waypoints` (Array<{x,y}>) are required via-points, visited in
+ * order between the source and target stubs.
+ *
+ * With `crossingPenalty` / `overlapPenalty` set, `config.routedPaths`
+ * (point arrays, or `{ points, group }`, of already-routed edges) act as
+ * soft obstacles.
+ *
+ * @returns {{ points: Array<{x:number,y:number}>, path: string, stats: { algorithm: string, expanded: number } }}
+ */
+export function computeOrthogonalPath(
+  sourceX,
+  sourceY,
+  targetX,
+  targetY,
+  allNodes,
+  config = {}
+) {
+  const scene = createRoutingScene(allNodes, config);
+  return scene.route({ x: sourceX, y: sourceY }, { x: targetX, y: targetY });
 }
 
 // ---------- Edge separation helpers ----------
@@ -506,30 +1434,176 @@ function buildOverlapClusters(segs, EPS) {
   return clusters;
 }
 
-function assignClusterOffsets(cluster, separation, offsets) {
-  const seen = new Set();
-  const edgeOrder = [];
-  for (const s of cluster) {
-    if (!seen.has(s.edgeIdx)) {
-      seen.add(s.edgeIdx);
-      edgeOrder.push(s.edgeIdx);
-    }
+// ---------- Channel nudging ----------
+//
+// Segments of different edges that share a guide line form a channel
+// bundle. Each bundle is ordered so that no two of its edges cross where
+// they leave it, then spread across the free channel: the band between the
+// nearest inflated obstacles on either side of the bundle.
+//
+// Edges with the same `bus` key share one lane, so a bus keeps its trunk.
+
+function laneOf(seg, edgePaths) {
+  const bus = edgePaths[seg.edgeIdx].bus;
+  return bus != null ? `bus:${bus}` : `edge:${seg.edgeIdx}`;
+}
+
+function heading(a, b) {
+  return { x: Math.sign(b.x - a.x), y: Math.sign(b.y - a.y) };
+}
+
+// +1 if the path turns left at its walker vertex, -1 if it turns right,
+// 0 if it ends there. Screen coordinates: y grows downwards.
+function turnAtVertex(walker, h) {
+  const v = walker.pts[walker.vi];
+  const next = walker.pts[walker.vi + walker.step];
+  if (!next) return 0;
+  const h2 = heading(v, next);
+  const cross = h.x * h2.y - h.y * h2.x;
+  if (cross < 0) return 1;
+  if (cross > 0) return -1;
+  return 0;
+}
+
+/**
+ * Walk two coincident paths outward from `start` along heading `h` until
+ * they part. Returns +1 if A leaves on the left of B, -1 if on the right,
+ * 0 if they never part before one of them ends.
+ */
+function sideWhereWalksPart(wa, wb, start, h) {
+  let pos = start;
+  let dir = h;
+  const limit = wa.pts.length + wb.pts.length;
+  for (let guard = 0; guard < limit; guard++) {
+    const va = wa.pts[wa.vi];
+    const vb = wb.pts[wb.vi];
+    const da = Math.abs(va.x - pos.x) + Math.abs(va.y - pos.y);
+    const db = Math.abs(vb.x - pos.x) + Math.abs(vb.y - pos.y);
+    if (da < db) return turnAtVertex(wa, dir);
+    if (db < da) return -turnAtVertex(wb, dir);
+
+    const ta = turnAtVertex(wa, dir);
+    const tb = turnAtVertex(wb, dir);
+    if (ta !== tb) return Math.sign(ta - tb);
+    if (ta === 0) return 0;
+
+    // Both turn the same way at the same corner: keep walking together
+    const next = wa.pts[wa.vi + wa.step];
+    dir = heading(va, next);
+    pos = va;
+    wa.vi += wa.step;
+    wb.vi += wb.step;
+  }
+  return 0;
+}
+
+// Walkers leaving a bundle segment at its low and high coordinate end.
+function segmentWalkers(seg, edgePaths) {
+  const pts = edgePaths[seg.edgeIdx].points;
+  const along = seg.orientation === 'h' ? 'x' : 'y';
+  const forward = pts[seg.segIdx][along] <= pts[seg.segIdx + 1][along];
+  return {
+    low: { pts, vi: forward ? seg.segIdx : seg.segIdx + 1, step: forward ? -1 : 1 },
+    high: { pts, vi: forward ? seg.segIdx + 1 : seg.segIdx, step: forward ? 1 : -1 },
+  };
+}
+
+// -1 if A's edge must sit at the lower perpendicular coordinate, 1 if
+// higher, 0 if either order is crossing-free.
+function walkOrder(wa, wb, start, h) {
+  const side = sideWhereWalksPart(wa, wb, start, h);
+  // Left of heading h is the perpendicular direction (h.y, -h.x)
+  const leftPerp = h.x !== 0 ? -h.x : h.y;
+  return Math.sign(side * leftPerp);
+}
+
+/**
+ * Channel order of two bundle segments. Both ends of the shared stretch are
+ * considered; when they disagree a crossing is unavoidable and the low end
+ * wins.
+ */
+function compareInChannel(a, b, edgePaths) {
+  const wa = segmentWalkers(a, edgePaths);
+  const wb = segmentWalkers(b, edgePaths);
+  const fixed = a.fixedCoord;
+  const point = (t) => (a.orientation === 'h' ? { x: t, y: fixed } : { x: fixed, y: t });
+  const lowHeading = a.orientation === 'h' ? { x: -1, y: 0 } : { x: 0, y: -1 };
+  const highHeading = a.orientation === 'h' ? { x: 1, y: 0 } : { x: 0, y: 1 };
+
+  const low = walkOrder(wa.low, wb.low, point(Math.max(a.lo, b.lo)), lowHeading);
+  if (low !== 0) return low;
+  return walkOrder(wa.high, wb.high, point(Math.min(a.hi, b.hi)), highHeading);
+}
+
+/**
+ * Free band [min, max] around a bundle at `fixedCoord` spanning [lo, hi]:
+ * bounded by the nearest inflated obstacle on each side. A bundle that
+ * already runs inside an obstacle gets no room at all.
+ */
+function freeChannel(orientation, fixedCoord, lo, hi, obstacles) {
+  let min = -Infinity;
+  let max = Infinity;
+  for (const o of obstacles) {
+    const oLo = orientation === 'h' ? o.left : o.top;
+    const oHi = orientation === 'h' ? o.right : o.bottom;
+    if (oHi <= lo || oLo >= hi) continue;
+    const near = orientation === 'h' ? o.top : o.left;
+    const far = orientation === 'h' ? o.bottom : o.right;
+    if (far <= fixedCoord) min = Math.max(min, far);
+    else if (near >= fixedCoord) max = Math.min(max, near);
+    else return { min: fixedCoord, max: fixedCoord };
   }
-  if (edgeOrder.length < 2) return;
+  return { min, max };
+}
 
-  const N = edgeOrder.length;
-  for (let i = 0; i < N; i++) {
-    const offset = (i - (N - 1) / 2) * separation;
-    const ei = edgeOrder[i];
+// Evenly spaced coordinates for `count` segments: `separation` apart and
+// centred on the bundle where the channel allows, squeezed to fit otherwise.
+function spreadInChannel(fixedCoord, count, separation, channel) {
+  const width = channel.max - channel.min;
+  let gap = separation;
+  let first = fixedCoord - ((count - 1) * separation) / 2;
+  if ((count - 1) * separation > width) {
+    gap = width / (count - 1);
+    first = channel.min;
+  } else {
+    first = Math.min(Math.max(first, channel.min), channel.max - (count - 1) * separation);
+  }
+  const coords = [];
+  for (let i = 0; i < count; i++) coords.push(first + i * gap);
+  return coords;
+}
+
+function nudgeCluster(cluster, edgePaths, obstacles, separation, offsets) {
+  const firstSegs = new Map();
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const s of cluster) {
+    const lane = laneOf(s, edgePaths);
+    if (!firstSegs.has(lane)) firstSegs.set(lane, s);
+    lo = Math.min(lo, s.lo);
+    hi = Math.max(hi, s.hi);
+  }
+  if (firstSegs.size < 2) return;
+
+  const ordered = Array.from(firstSegs.values()).sort(
+    (a, b) => compareInChannel(a, b, edgePaths) || a.edgeIdx - b.edgeIdx,
+  );
+  const { orientation, fixedCoord } = cluster[0];
+  const channel = freeChannel(orientation, fixedCoord, lo, hi, obstacles);
+  const coords = spreadInChannel(fixedCoord, ordered.length, separation, channel);
+
+  ordered.forEach((seg, i) => {
+    const offset = coords[i] - fixedCoord;
+    const lane = laneOf(seg, edgePaths);
     for (const s of cluster) {
-      if (s.edgeIdx === ei) {
+      if (laneOf(s, edgePaths) === lane) {
         offsets.set(`${s.edgeIdx}:${s.segIdx}`, offset);
       }
     }
-  }
+  });
 }
 
-function computeSegmentOffsets(allSegments, separation) {
+function computeSegmentOffsets(allSegments, edgePaths, obstacles, separation) {
   const EPS = 0.01;
   const groups = new Map();
   for (const seg of allSegments) {
@@ -542,14 +1616,14 @@ function computeSegmentOffsets(allSegments, separation) {
 
   for (const segs of groups.values()) {
     if (segs.length < 2) continue;
-    const uniqueEdges = new Set(segs.map((s) => s.edgeIdx));
-    if (uniqueEdges.size < 2) continue;
+    const uniqueLanes = new Set(segs.map((s) => laneOf(s, edgePaths)));
+    if (uniqueLanes.size < 2) continue;
 
     segs.sort((a, b) => a.lo - b.lo);
     const clusters = buildOverlapClusters(segs, EPS);
 
     for (const cl of clusters) {
-      assignClusterOffsets(cl, separation, offsets);
+      nudgeCluster(cl, edgePaths, obstacles, separation, offsets);
     }
   }
 
@@ -637,15 +1711,20 @@ function applyOffsetsToEdge(edge, ei, offsets, bendRadius) {
 
 /**
  * Post-process multiple edge paths to prevent visual merging.
- * Detects overlapping collinear segments across edges and applies
- * center-spread perpendicular offsets to keep them visually distinct.
+ * Detects overlapping collinear segments across edges and nudges them apart
+ * within their free channel: segments are ordered so edges don't cross
+ * where they leave the shared stretch, then spread `separation` apart (or
+ * evenly across the channel when it is narrower). With `options.nodes`,
+ * no segment is moved inside a node inflated by `options.padding`.
+ * Edges with the same `bus` key move together as one lane.
  *
- * @param {Array<{id: string, points: Array<{x:number,y:number}>}>} edgePaths
+ * @param {Array<{id: string, points: Array<{x:number,y:number}>, bus?: string}>} edgePaths
  * @param {number} separation - px gap between parallel edges
  * @param {number} [bendRadius=0] - optional bend radius for SVG path generation
+ * @param {{ nodes?: Array<{id: string, x: number, y: number, width: number, height: number}>, padding?: number }} [options]
  * @returns {Array<{id: string, points: Array<{x:number,y:number}>, path: string}>}
  */
-export function separateOverlappingEdges(edgePaths, separation, bendRadius = 0) {
+export function separateOverlappingEdges(edgePaths, separation, bendRadius = 0, options = {}) {
   if (separation <= 0 || edgePaths.length <= 1) {
     return edgePaths.map((e) => ({
       ...e,
@@ -653,8 +1732,10 @@ export function separateOverlappingEdges(edgePaths, separation, bendRadius = 0)
     }));
   }
 
+  const padding = options.padding != null ? options.padding : DEFAULTS.padding;
+  const obstacles = inflateObstacles(options.nodes || [], padding);
   const allSegments = collectRoutableSegments(edgePaths);
-  const offsets = computeSegmentOffsets(allSegments, separation);
+  const offsets = computeSegmentOffsets(allSegments, edgePaths, obstacles, separation);
 
   if (offsets.size === 0) {
     return edgePaths.map((e) => ({
@@ -665,3 +1746,68 @@ export function separateOverlappingEdges(edgePaths, separation, bendRadius = 0)
 
   return edgePaths.map((edge, ei) => applyOffsetsToEdge(edge, ei, offsets, bendRadius));
 }
+
+// ---------- Bus junctions ----------
+
+function dirName(dx, dy) {
+  if (dx > 0) return 'e';
+  if (dx < 0) return 'w';
+  if (dy > 0) return 's';
+  return 'n';
+}
+
+// Directions in which the union of `paths` leaves point p.
+function directionsAt(p, paths) {
+  const dirs = new Set();
+  for (const pts of paths) {
+    for (let i = 0; i < pts.length - 1; i++) {
+      const a = pts[i];
+      const b = pts[i + 1];
+      const onSeg = (a.x === b.x && p.x === a.x && p.y >= Math.min(a.y, b.y) && p.y <= Math.max(a.y, b.y))
+        || (a.y === b.y && p.y === a.y && p.x >= Math.min(a.x, b.x) && p.x <= Math.max(a.x, b.x));
+      if (!onSeg) continue;
+      if (p.x !== a.x || p.y !== a.y) dirs.add(dirName(a.x - p.x, a.y - p.y));
+      if (p.x !== b.x || p.y !== b.y) dirs.add(dirName(b.x - p.x, b.y - p.y));
+    }
+  }
+  return dirs;
+}
+
+function junctionsOf(paths) {
+  const seen = new Set();
+  const junctions = [];
+  for (const pts of paths) {
+    for (const p of pts) {
+      const key = `${p.x},${p.y}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      if (directionsAt(p, paths).size >= 3) junctions.push({ x: p.x, y: p.y });
+    }
+  }
+  return junctions;
+}
+
+/**
+ * Branch points of each bus: points where the union of the bus's paths
+ * meets in three or more directions, i.e. where one edge splits off or
+ * joins the shared trunk.
+ *
+ * @param {Array<{id: string, points: Array<{x:number,y:number}>, bus?: string}>} edgePaths
+ * @returns {Map<string, Array<{x:number,y:number}>>} bus key → junction points
+ */
+export function findBusJunctions(edgePaths) {
+  const buses = new Map();
+  for (const e of edgePaths) {
+    if (e.bus == null) continue;
+    if (!buses.has(e.bus)) buses.set(e.bus, []);
+    buses.get(e.bus).push(e.points);
+  }
+
+  const result = new Map();
+  for (const [bus, paths] of buses) {
+    if (paths.length < 2) continue;
+    const junctions = junctionsOf(paths);
+    if (junctions.length > 0) result.set(bus, junctions);
+  }
+  return result;
+}
@@ -0,0 +1,98 @@
+import { onWorkerFailure, onWorkerMessage } from './routingJob.js';
+
+// ---------- Worker-backed routing engine ----------
+
+/**
+ * Main-thread client for a routing worker (see routingWorker.js).
+ *
+ * At most one job is in flight. Jobs posted meanwhile replace each other, so
+ * only the newest waiting job is sent once the worker is free. Every
+ * `route()` promise resolves with the job's paths, or with `null` when the
+ * job was superseded before it was sent or its response is older than one
+ * already delivered. Worker errors reject the promise.
+ *
+ * If the worker itself fails (an uncaught error, a `messageerror`, or a
+ * `worker_threads` exit) the engine terminates: the in-flight and queued
+ * jobs reject with the failure, and so does every later `route()`.
+ *
+ * Works with a browser `Worker` and with a Node `worker_threads` Worker.
+ *
+ * @param {Worker|import('node:worker_threads').Worker} worker
+ * @returns {{
+ *   route: (job: {config: Object, rects: Array, edges: Array}) =>
+ *     Promise<Array<{id: string, points: Array<{x:number,y:number}>, path: string}>|null>,
+ *   terminate: () => void,
+ * }}
+ */
+export function createWorkerRoutingEngine(worker) {
+  let nextId = 1;
+  let lastDelivered = 0;
+  let inFlight = null;
+  let queued = null;
+  let terminated = false;
+  let failure = null;
+
+  function send(request) {
+    inFlight = request;
+    worker.postMessage({ ...request.job, id: request.id });
+  }
+
+  onWorkerMessage(worker, (msg) => {
+    if (!msg || !inFlight || msg.id !== inFlight.id) return;
+    const request = inFlight;
+    inFlight = null;
+
+    if (msg.error != null) {
+      request.reject(new Error(msg.error));
+    } else if (msg.id <= lastDelivered) {
+      request.resolve(null);
+    } else {
+      lastDelivered = msg.id;
+      request.resolve(msg.paths);
+    }
+
+    if (queued && !terminated) {
+      const next = queued;
+      queued = null;
+      send(next);
+    }
+  });
+
+  onWorkerFailure(worker, (err) => {
+    if (terminated) return;
+    terminated = true;
+    failure = err;
+    const pending = [inFlight, queued];
+    inFlight = null;
+    queued = null;
+    for (const request of pending) {
+      if (request) request.reject(err);
+    }
+    worker.terminate();
+  });
+
+  function route(job) {
+    if (failure) return Promise.reject(failure);
+    if (terminated) return Promise.resolve(null);
+    return new Promise((resolve, reject) => {
+      const request = { id: nextId++, job, resolve, reject };
+      if (!inFlight) {
+        send(request);
+        return;
+      }
+      if (queued) queued.resolve(null);
+      queued = request;
+    });
+  }
+
+  function terminate() {
+    terminated = true;
+    if (queued) queued.resolve(null);
+    if (inFlight) inFlight.resolve(null);
+    queued = null;
+    inFlight = null;
+    worker.terminate();
+  }
+
+  return { route, terminate };
+}
@@ -0,0 +1,114 @@
+import {
+  computeOrthogonalPath,
+  createRoutingScene,
+  separateOverlappingEdges,
+} from './orthogonalRouter.js';
+
+// ---------- Routing jobs ----------
+//
+// A routing job is a plain, structured-cloneable snapshot of everything the
+// router needs: node rectangles, resolved edge endpoints and config. Jobs are
+// what EdgeRoutingProvider posts to a routing worker, so nothing in here may
+// touch React, React Flow or the DOM.
+
+/**
+ * Copy of a config object without values that cannot cross postMessage
+ * (functions, symbols).
+ */
+export function cloneableConfig(config) {
+  const out = {};
+  if (!config) return out;
+  for (const key of Object.keys(config)) {
+    const value = config[key];
+    if (typeof value === 'function' || typeof value === 'symbol') continue;
+    out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * Route every edge of a job and nudge overlapping edges apart.
+ *
+ * Each job edge carries its own fully merged config; edges whose `padding`
+ * differs from the job config are routed against their own obstacle list,
+ * exactly as EdgeRoutingProvider does on the main thread. An edge is routed
+ * through the rects in its `exclude` list (default: its source and target);
+ * rects flagged `group` never block the separation pass. In crossing-aware
+ * mode edges are routed in job order, each one a soft obstacle for the rest.
+ * Edges with the same `bus` key share their trunk and are nudged as one.
+ *
+ * @param {{
+ *   config: Object,
+ *   rects: Array<{id: string, x: number, y: number, width: number, height: number, group?: boolean}>,
+ *   edges: Array<{id: string, source: string, target: string,
+ *     src: {x:number,y:number,dir:string}, tgt: {x:number,y:number,dir:string},
+ *     exclude?: Array<string>,
+ *     bus?: string, bundle?: {index: number, size: number, spacing: number},
+ *     config: Object}>
+ * }} job
+ * @returns {Array<{id: string, points: Array<{x:number,y:number}>, path: string}>}
+ */
+export function runRoutingJob(job) {
+  const cfg = job.config;
+  const crossingAware = cfg.crossingPenalty > 0 || cfg.overlapPenalty > 0;
+  const routedPaths = [];
+  const edgePaths = [];
+  let scene = null;
+
+  for (const edge of job.edges) {
+    const exclude = edge.exclude || [edge.source, edge.target];
+    let points;
+    if (edge.config.padding !== cfg.padding) {
+      const obstacles = job.rects.filter((r) => !exclude.includes(r.id));
+      points = computeOrthogonalPath(
+        edge.src.x, edge.src.y, edge.tgt.x, edge.tgt.y, obstacles, { ...edge.config, routedPaths },
+      ).points;
+    } else {
+      if (!scene) scene = createRoutingScene(job.rects, { ...cfg, routedPaths });
+      points = scene.route(edge.src, edge.tgt, exclude, edge.config).points;
+    }
+    if (crossingAware) {
+      routedPaths.push({ points, group: edge.bus });
+      if (scene) scene.addRoutedPath(points, edge.bus);
+    }
+    edgePaths.push({ id: edge.id, points, bus: edge.bus, bundle: edge.bundle });
+  }
+
+  return separateOverlappingEdges(edgePaths, cfg.edgeSeparation, cfg.bendRadius, {
+    nodes: job.rects.filter((r) => !r.group),
+    padding: cfg.padding,
+  });
+}
+
+/**
+ * Subscribe to messages on a browser Worker / worker scope or a Node
+ * `worker_threads` Worker / parentPort. The handler always receives the
+ * message payload, never the event wrapper.
+ */
+export function onWorkerMessage(target, handler) {
+  if (typeof target.on === 'function') {
+    target.on('message', handler);
+    return;
+  }
+  target.addEventListener('message', (event) => handler(event.data));
+}
+
+/**
+ * Subscribe to a worker dying or failing: an uncaught error, a message that
+ * cannot be deserialized (`messageerror`) or, for `worker_threads`, the
+ * thread exiting. The handler receives an Error describing the failure.
+ */
+export function onWorkerFailure(target, handler) {
+  if (typeof target.on === 'function') {
+    target.on('error', (err) => handler(err instanceof Error ? err : new Error(String(err))));
+    target.on('messageerror', () => handler(new Error('Routing worker could not deserialize a message')));
+    target.on('exit', (code) => handler(new Error(`Routing worker exited with code ${code}`)));
+    return;
+  }
+  target.addEventListener('error', (event) => {
+    handler(new Error(event.message || 'Routing worker failed'));
+  });
+  target.addEventListener('messageerror', () => {
+    handler(new Error('Routing worker could not deserialize a message'));
+  });
+}
@@ -0,0 +1,32 @@
+import { onWorkerMessage, runRoutingJob } from './routingJob.js';
+
+// ---------- Routing worker entry ----------
+//
+// Browser:
+//   new Worker(new URL('./routingWorker.js', import.meta.url), { type: 'module' })
+// The module attaches itself to the worker scope on load.
+//
+// Node (worker_threads):
+//   import { parentPort } from 'node:worker_threads';
+//   import { attachRoutingWorker } from './routingWorker.js';
+//   attachRoutingWorker(parentPort);
+
+/**
+ * Answer routing jobs posted to `port`. Each job `{ id, config, rects, edges }`
+ * is answered with `{ id, paths }`, or `{ id, error }` if routing throws.
+ */
+export function attachRoutingWorker(port) {
+  onWorkerMessage(port, (job) => {
+    if (!job || job.id == null) return;
+    try {
+      port.postMessage({ id: job.id, paths: runRoutingJob(job) });
+    } catch (err) {
+      port.postMessage({ id: job.id, error: String((err && err.message) || err) });
+    }
+  });
+}
+
+/* global WorkerGlobalScope */
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  attachRoutingWorker(self);
+}
@@ -0,0 +1,207 @@
+import {
+    DEFAULTS,
+    isHorizontalFlow,
+    resolveNodeX,
+    resolveNodeY,
+    resolveNodeWidth,
+    resolveNodeHeight,
+} from "./defaults.js";
+
+// ---------- Swimlanes ----------
+//
+// In swimlane mode (`config.lanes` set) every node is kept inside the band
+// of its lane, `node.data.lane`. Bands run along the flow: columns in a
+// top-to-bottom flow, rows in a left-to-right one. Nodes without a lane
+// share a last, unlabeled band. Group children move with their group and
+// are never packed on their own.
+
+function nodeLane(node) {
+    return node.data && node.data.lane != null ? node.data.lane : null;
+}
+
+function topLevelNodes(nodes) {
+    const ids = new Set(nodes.map((n) => n.id));
+    return nodes.filter((n) => !n.id.startsWith("__action") && !(n.parentNode && ids.has(n.parentNode)));
+}
+
+/**
+ * Lanes in display order: the entries of `config.lanes` (ids, or
+ * `{ id, label }`), then lanes that only appear on nodes, then the
+ * unassigned lane (`id: null`) if any node has no lane.
+ *
+ * @returns {Array<{id: string|null, label: string}>}
+ */
+export function resolveLanes(nodes, lanes) {
+    const out = [];
+    const seen = new Set();
+    const push = (id, label) => {
+        if (seen.has(id)) return;
+        seen.add(id);
+        out.push({ id, label: label != null ? label : String(id) });
+    };
+    for (const lane of lanes || []) {
+        if (lane && typeof lane === "object") push(lane.id, lane.label);
+        else push(lane, null);
+    }
+    let unassigned = false;
+    for (const node of nodes) {
+        const lane = nodeLane(node);
+        if (lane === null) unassigned = true;
+        else push(lane, null);
+    }
+    if (unassigned) out.push({ id: null, label: "" });
+    return out;
+}
+
+// A node's box split into the flow axis (`along`) and the lane axis (`across`)
+function flowBox(node, cfg) {
+    const x = resolveNodeX(node);
+    const y = resolveNodeY(node);
+    const width = resolveNodeWidth(node, cfg.nodeWidth);
+    const height = resolveNodeHeight(node, cfg.nodeHeight);
+    return isHorizontalFlow(cfg.direction)
+        ? { id: node.id, along: x, alongSize: width, across: y, acrossSize: height }
+        : { id: node.id, along: y, alongSize: height, across: x, acrossSize: width };
+}
+
+// Width of a lane without nodes
+function emptyLaneSize(cfg) {
+    const size = isHorizontalFlow(cfg.direction) ? cfg.nodeHeight : cfg.nodeWidth;
+    return size + 2 * cfg.lanePadding;
+}
+
+// Cross-flow offsets of one lane's nodes: the layout's positions with the
+// stretches taken by other lanes squeezed out down to `gap`.
+function compactAcross(boxes, gap) {
+    const sorted = [...boxes].sort((a, b) => a.across - b.across);
+    const offsets = new Map();
+    let shift = sorted[0].across;
+    let reach = sorted[0].across;
+    for (const box of sorted) {
+        if (box.across > reach + gap) shift += box.across - (reach + gap);
+        offsets.set(box.id, box.across - shift);
+        reach = Math.max(reach, box.across + box.acrossSize);
+    }
+    return offsets;
+}
+
+/**
+ * Move laid-out nodes into their lane bands. Positions along the flow (the
+ * topological order) are kept; across the flow each lane's nodes keep their
+ * order and alignment, packed into one band after the other with
+ * `lanePadding` inside each band.
+ */
+export function applySwimlanes(nodes, config) {
+    const cfg = { ...DEFAULTS, ...(config || {}) };
+    const top = topLevelNodes(nodes);
+    if (top.length === 0) return nodes;
+
+    const boxes = top.map((n) => ({ ...flowBox(n, cfg), lane: nodeLane(n) }));
+    const axis = isHorizontalFlow(cfg.direction) ? "y" : "x";
+    const across = new Map();
+    let bandStart = Math.min(...boxes.map((b) => b.across)) - cfg.lanePadding;
+
+    for (const lane of resolveLanes(top, cfg.lanes)) {
+        const members = boxes.filter((b) => b.lane === lane.id);
+        if (members.length === 0) {
+            bandStart += emptyLaneSize(cfg);
+            continue;
+        }
+        const offsets = compactAcross(members, cfg.horizontalGap);
+        let content = 0;
+        for (const box of members) {
+            const offset = offsets.get(box.id);
+            across.set(box.id, bandStart + cfg.lanePadding + offset);
+            content = Math.max(content, offset + box.acrossSize);
+        }
+        bandStart += content + 2 * cfg.lanePadding;
+    }
+
+    return nodes.map((n) => {
+        if (!across.has(n.id)) return n;
+        return { ...n, position: { ...n.position, [axis]: across.get(n.id) } };
+    });
+}
+
+/**
+ * Lane bands of the current node positions, in flow coordinates. `start` /
+ * `end` bound a band across the flow, `flowStart` / `flowEnd` along it; the
+ * first `laneHeaderSize` px after `flowStart` are the lane header.
+ *
+ * @returns {Array<{id: string|null, label: string, start: number, end: number, flowStart: number, flowEnd: number}>}
+ */
+export function computeLaneBands(nodes, config) {
+    const cfg = { ...DEFAULTS, ...(config || {}) };
+    const top = topLevelNodes(nodes);
+    if (top.length === 0) return [];
+
+    const boxes = top.map((n) => ({ ...flowBox(n, cfg), lane: nodeLane(n) }));
+    const flowStart = Math.min(...boxes.map((b) => b.along)) - cfg.lanePadding - cfg.laneHeaderSize;
+    const flowEnd = Math.max(...boxes.map((b) => b.along + b.alongSize)) + cfg.lanePadding;
+
+    const bands = resolveLanes(top, cfg.lanes).map((lane) => {
+        const members = boxes.filter((b) => b.lane === lane.id);
+        if (members.length === 0) return { ...lane, start: null, end: null, flowStart, flowEnd };
+        return {
+            ...lane,
+            start: Math.min(...members.map((b) => b.across)) - cfg.lanePadding,
+            end: Math.max(...members.map((b) => b.across + b.acrossSize)) + cfg.lanePadding,
+            flowStart,
+            flowEnd,
+        };
+    });
+
+    // Empty lanes sit next to their neighbours: after the lane before them,
+    // or before the first lane with nodes
+    const empty = emptyLaneSize(cfg);
+    for (let i = 1; i < bands.length; i++) {
+        if (bands[i].start === null && bands[i - 1].start !== null) {
+            bands[i].start = bands[i - 1].end;
+            bands[i].end = bands[i].start + empty;
+        }
+    }
+    for (let i = bands.length - 2; i >= 0; i--) {
+        if (bands[i].start === null) {
+            bands[i].end = bands[i + 1].start;
+            bands[i].start = bands[i].end - empty;
+        }
+    }
+    return bands;
+}
+
+/**
+ * The lines between neighbouring lane bands, as router `laneBoundaries`:
+ * `{ orientation, at, lo, hi }` with `orientation` 'v' for vertical lines
+ * (top-to-bottom flows) and 'h' for horizontal ones.
+ */
+export function laneBoundaryLines(bands, config) {
+    const cfg = { ...DEFAULTS, ...(config || {}) };
+    const orientation = isHorizontalFlow(cfg.direction) ? "h" : "v";
+    const lines = [];
+    for (let i = 1; i < bands.length; i++) {
+        const band = bands[i];
+        lines.push({ orientation, at: (bands[i - 1].end + band.start) / 2, lo: band.flowStart, hi: band.flowEnd });
+    }
+    return lines;
+}
+
+/**
+ * Keep nodes `ids` inside their lane bands, which are measured from the
+ * other nodes. Used after mini layouts (add node, insert inline), which do
+ * not know about lanes.
+ */
+export function clampToLanes(nodes, ids, config) {
+    const cfg = { ...DEFAULTS, ...(config || {}) };
+    const bands = computeLaneBands(nodes.filter((n) => !ids.has(n.id)), cfg);
+    const axis = isHorizontalFlow(cfg.direction) ? "y" : "x";
+    return nodes.map((n) => {
+        if (!ids.has(n.id)) return n;
+        const band = bands.find((b) => b.id === nodeLane(n));
+        if (!band) return n;
+        const box = flowBox(n, cfg);
+        const lo = band.start + cfg.lanePadding;
+        const hi = Math.max(lo, band.end - cfg.lanePadding - box.acrossSize);
+        const clamped = Math.min(Math.max(n.position[axis], lo), hi);
+        return clamped === n.position[axis] ? n : { ...n, position: { ...n.position, [axis]: clamped } };
+    });
+}
@@ -21,7 +21,7 @@ import { DEFAULTS } from './defaults.js';
  *   setEdges([...edges, ...newEdges]);
  *
  *   // Compute visible graph (respecting collapsed state)
- *   const { visibleNodes, visibleEdges } = applyVisibility(nodes, edges);
+ *   const { visibleNodes, visibleEdges, summaries } = applyVisibility(nodes, edges);
  */
 export default function useAutoLayout(config) {
   const cfgRef = useRef(config);
@@ -52,7 +52,7 @@ export default function useAutoLayout(config) {
 
   const applyVisibility = useCallback(
     (nodes, edges) => {
-      return getVisibleGraph(nodes, edges);
+      return getVisibleGraph(nodes, edges, cfgRef.current);
     },
     []
   );
@@ -0,0 +1,123 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { DEFAULTS } from './defaults.js';
+
+// Keys typed into a text field undo the text, not the graph
+function isEditableTarget(target) {
+  if (!target) return false;
+  const tag = target.tagName;
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || !!target.isContentEditable;
+}
+
+function pushBounded(stack, entry, limit) {
+  stack.push(entry);
+  if (stack.length > limit) stack.splice(0, stack.length - limit);
+}
+
+/**
+ * Undo/redo history of `{ nodes, edges }` snapshots.
+ *
+ * Call `record()` just before a change: it saves the state returned by
+ * `getState()` as one undo step and clears the redo stack. `undo()` and
+ * `redo()` hand the snapshot to go back (or forward) to to `restore`.
+ *
+ * Between `begin()` and `end()` every record counts as a single step, the
+ * state at `begin()`; transactions nest. `record(snapshot)` saves a state
+ * taken earlier, e.g. at the start of a drag.
+ *
+ * At most `config.historyLimit` steps are kept, the oldest dropped first;
+ * 0 turns history off. With `config.historyKeyBindings`, Ctrl+Z / Cmd+Z
+ * undoes and Ctrl+Shift+Z / Cmd+Shift+Z redoes, except in text fields.
+ * The keys are heard on `scopeRef.current` only, so each flow on a page
+ * answers them only while focus is inside it.
+ *
+ * `canUndo()` / `canRedo()` read the stacks at call time; `status`
+ * (`{ canUndo, canRedo }`) is state, so it re-renders when they change.
+ *
+ * @param {() => { nodes: Array, edges: Array }} getState
+ * @param {(snapshot: { nodes: Array, edges: Array }) => void} restore
+ * @param {Object} [config] - flow config (`historyLimit`, `historyKeyBindings`)
+ * @param {{ current: HTMLElement|null }} [scopeRef] - element the key bindings listen on
+ */
+export default function useFlowHistory(getState, restore, config, scopeRef) {
+  const cfg = { ...DEFAULTS, ...(config || {}) };
+  const limitRef = useRef(cfg.historyLimit);
+  limitRef.current = cfg.historyLimit;
+  const getStateRef = useRef(getState);
+  getStateRef.current = getState;
+  const restoreRef = useRef(restore);
+  restoreRef.current = restore;
+
+  const undoRef = useRef([]);
+  const redoRef = useRef([]);
+  // Open transaction: { snapshot, depth, dirty }
+  const openRef = useRef(null);
+
+  const [status, setStatus] = useState({ canUndo: false, canRedo: false });
+  const sync = useCallback(() => {
+    const canUndo = undoRef.current.length > 0;
+    const canRedo = redoRef.current.length > 0;
+    setStatus((prev) => (prev.canUndo === canUndo && prev.canRedo === canRedo ? prev : { canUndo, canRedo }));
+  }, []);
+
+  const record = useCallback((snapshot) => {
+    if (limitRef.current <= 0) return;
+    if (openRef.current) {
+      openRef.current.dirty = true;
+      return;
+    }
+    pushBounded(undoRef.current, snapshot || getStateRef.current(), limitRef.current);
+    redoRef.current = [];
+    sync();
+  }, [sync]);
+
+  const begin = useCallback(() => {
+    if (openRef.current) openRef.current.depth += 1;
+    else openRef.current = { snapshot: getStateRef.current(), depth: 1, dirty: false };
+  }, []);
+
+  const end = useCallback(() => {
+    const open = openRef.current;
+    if (!open) return;
+    open.depth -= 1;
+    if (open.depth > 0) return;
+    openRef.current = null;
+    if (open.dirty) record(open.snapshot);
+  }, [record]);
+
+  // Move one snapshot from `from` to the state, the current state to `to`
+  const step = useCallback((from, to) => {
+    if (openRef.current || from.current.length === 0) return false;
+    pushBounded(to.current, getStateRef.current(), limitRef.current);
+    restoreRef.current(from.current.pop());
+    sync();
+    return true;
+  }, [sync]);
+
+  const undo = useCallback(() => step(undoRef, redoRef), [step]);
+  const redo = useCallback(() => step(redoRef, undoRef), [step]);
+  const canUndo = useCallback(() => undoRef.current.length > 0, []);
+  const canRedo = useCallback(() => redoRef.current.length > 0, []);
+
+  const clear = useCallback(() => {
+    undoRef.current = [];
+    redoRef.current = [];
+    sync();
+  }, [sync]);
+
+  const keyBindings = cfg.historyKeyBindings && cfg.historyLimit > 0;
+  useEffect(() => {
+    const scope = scopeRef && scopeRef.current;
+    if (!keyBindings || !scope) return undefined;
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+      if (isEditableTarget(e.target)) return;
+      e.preventDefault();
+      if (e.shiftKey) redo();
+      else undo();
+    };
+    scope.addEventListener('keydown', onKeyDown);
+    return () => scope.removeEventListener('keydown', onKeyDown);
+  }, [keyBindings, scopeRef, undo, redo]);
+
+  return { record, begin, end, undo, redo, canUndo, canRedo, clear, status };
+}
@@ -0,0 +1,179 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { DEFAULTS } from './defaults.js';
+
+function prefersReducedMotion() {
+  return typeof window !== 'undefined'
+    && typeof window.matchMedia === 'function'
+    && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+function easeInOut(t) {
+  return t < 0.5 ? 2 * t * t : 1 - ((-2 * t + 2) ** 2) / 2;
+}
+
+function lerpPosition(a, b, t) {
+  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+}
+
+// A node appearing or disappearing with the animation moves out of or into
+// the anchor node, if both sit at the same nesting level
+function anchorPosition(node, anchor) {
+  if (!anchor || anchor.id === node.id) return null;
+  if ((anchor.parentNode || null) !== (node.parentNode || null)) return null;
+  return anchor.position;
+}
+
+function isActionNode(node) {
+  return node.id.startsWith('__action');
+}
+
+function styleOpacity(node) {
+  return node.style && node.style.opacity != null ? node.style.opacity : 1;
+}
+
+// A node that stays moves along, and finishes fading in if an earlier
+// animation was cut short; a new one comes out of the anchor (if any) and
+// fades in
+function movingNode(node, prev, startAnchor, k) {
+  if (prev) {
+    const moved = { ...node, position: lerpPosition(prev.position, node.position, k) };
+    const from = styleOpacity(prev);
+    const to = styleOpacity(node);
+    return from === to ? moved : { ...moved, style: { ...node.style, opacity: from + (to - from) * k } };
+  }
+  const start = anchorPosition(node, startAnchor);
+  return {
+    ...node,
+    position: start ? lerpPosition(start, node.position, k) : node.position,
+    style: { ...node.style, opacity: k },
+  };
+}
+
+// Nodes that are gone fade out, and shrink into the anchor if there is one
+function leavingNodes(from, ids, shownIds, endAnchor, k) {
+  const leaving = [];
+  for (const prev of from.values()) {
+    if (ids.has(prev.id) || isActionNode(prev)) continue;
+    if (prev.parentNode && !shownIds.has(prev.parentNode)) continue;
+    const end = anchorPosition(prev, endAnchor);
+    leaving.push({
+      ...prev,
+      position: end ? lerpPosition(prev.position, end, k) : prev.position,
+      style: { ...prev.style, opacity: styleOpacity(prev) * (1 - k) },
+      selectable: false,
+      draggable: false,
+      connectable: false,
+    });
+  }
+  return leaving;
+}
+
+// Nodes as shown at progress `k` (eased, 0..1) of an animation from the
+// nodes in `from` to `nodes`. Action nodes are left out until it ends.
+function interpolateNodes(animation, nodes, k) {
+  const { from, anchor } = animation;
+  const startAnchor = anchor ? from.get(anchor) : null;
+  const endAnchor = anchor ? nodes.find((n) => n.id === anchor) : null;
+  const shown = nodes
+    .filter((n) => !isActionNode(n))
+    .map((n) => movingNode(n, from.get(n.id), startAnchor, k));
+  const ids = new Set(nodes.map((n) => n.id));
+  const shownIds = new Set(shown.map((n) => n.id));
+  return leavingNodes(from, ids, shownIds, endAnchor, k).concat(shown);
+}
+
+// Where the animation is heading: position of every node but action nodes,
+// which come and go with hover and are not shown while it runs
+function targetPositions(nodes) {
+  const targets = new Map();
+  for (const n of nodes) {
+    if (!isActionNode(n)) targets.set(n.id, n.position);
+  }
+  return targets;
+}
+
+function sameTargets(targets, nodes) {
+  let count = 0;
+  for (const n of nodes) {
+    if (isActionNode(n)) continue;
+    const target = targets.get(n.id);
+    if (!target || target.x !== n.position.x || target.y !== n.position.y) return false;
+    count++;
+  }
+  return count === targets.size;
+}
+
+/**
+ * The animation for the next `nodes`. A running one carries on while the
+ * nodes still head to the same positions (a re-render for hover or newly
+ * measured sizes); when they move, it restarts towards the new positions
+ * from where the nodes are shown now. Without a running animation only a
+ * request starts one.
+ */
+function nextAnimation(running, request, nodes, from, duration) {
+  if (!request && running && sameTargets(running.targets, nodes)) return running;
+  if (!request && !running) return null;
+  if (duration <= 0 || from.size === 0 || prefersReducedMotion()) return null;
+  const anchor = request ? request.anchor || null : running.anchor;
+  return { from, anchor, duration, targets: targetPositions(nodes) };
+}
+
+/**
+ * Animate the nodes passed to React Flow from their shown positions to a new
+ * layout.
+ *
+ * Set `requestRef.current` to `{ anchor }` (anchor: node id or null) just
+ * before a change whose result should animate. When the next `nodes`
+ * arrive, nodes move from where they were shown to their new position over
+ * `layoutAnimationDuration` ms. New nodes grow out of the anchor node and
+ * removed nodes shrink into it, fading in and out; without an anchor they
+ * only fade. Changes without a request (e.g. dragging) apply at once, and
+ * so does everything under `prefers-reduced-motion: reduce`. While an
+ * animation runs, new `nodes` with the same positions keep it going and
+ * moved ones retarget it from the shown positions.
+ *
+ * @param {Array} nodes - nodes to show once the animation ends
+ * @param {Object} [config] - flow config (`layoutAnimationDuration`)
+ * @param {{ current: { anchor: string|null }|null }} requestRef
+ * @returns {{ nodes: Array, animating: boolean }}
+ */
+export default function useLayoutAnimation(nodes, config, requestRef) {
+  const duration = { ...DEFAULTS, ...(config || {}) }.layoutAnimationDuration;
+  const shownRef = useRef(new Map());
+  const animationRef = useRef(null);
+  const [frame, setFrame] = useState({ animation: null, t: 1 });
+
+  const animation = useMemo(() => {
+    const prev = animationRef.current;
+    const running = prev && !(frame.animation === prev && frame.t >= 1) ? prev : null;
+    return nextAnimation(running, requestRef.current, nodes, shownRef.current, duration);
+  }, [nodes]);
+  animationRef.current = animation;
+
+  // A request applies to the next nodes only
+  useEffect(() => {
+    requestRef.current = null;
+  }, [nodes, requestRef]);
+
+  useEffect(() => {
+    if (!animation) return undefined;
+    let start = null;
+    let raf = requestAnimationFrame(function step(now) {
+      if (start === null) start = now;
+      const t = Math.min(1, (now - start) / animation.duration);
+      setFrame({ animation, t });
+      if (t < 1) raf = requestAnimationFrame(step);
+    });
+    return () => cancelAnimationFrame(raf);
+  }, [animation]);
+
+  const t = frame.animation === animation ? frame.t : 0;
+  const animating = animation !== null && t < 1;
+  const shown = animating ? interpolateNodes(animation, nodes, easeInOut(t)) : nodes;
+
+  useEffect(() => {
+    shownRef.current = new Map(shown.map((n) => [n.id, n]));
+  });
+
+  return { nodes: shown, animating };
+}